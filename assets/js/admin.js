@@ -0,0 +1,1012 @@
+/**
+ * Admin Module
+ * Rule, demo settings, import and storage management for admin.html
+ */
+
+let rules = []; // Rules of the rule set being edited
+let ruleSets = [];
+let defaultRuleSet = null;
+let currentRuleSetName = null;
+const ruleValidator = new MessageMatcher();
+const storageManager = new StorageManager();
+const modelRegistry = new ModelRegistry();
+const chatImporter = new ChatImporter();
+const sanitizer = new HtmlSanitizer();
+let pendingImport = null; // Parsed chat import waiting for confirmation
+let migrationBackups = []; // Snapshots taken before chats or rules were migrated
+
+// Rule field edited in the details box for each rich response type
+const responseDetailFields = {
+    citations: {
+        field: 'sources',
+        label: 'Sources (JSON)',
+        hint: 'A list like [{ "title": "Handbook", "url": "https://...", "snippet": "..." }]. Refer to them as [1], [2]... in the response.'
+    },
+    file: {
+        field: 'files',
+        label: 'Files (JSON)',
+        hint: 'A list like [{ "name": "report.csv", "mimeType": "text/csv", "content": "a,b\\n1,2" }]. Use "url" instead of "content" to link a file.'
+    },
+    tool: {
+        field: 'toolCalls',
+        label: 'Tool Calls (JSON)',
+        hint: 'A list like [{ "name": "search_docs", "arguments": { "query": "..." }, "result": { ... } }], shown above the response.'
+    },
+    thinking: {
+        field: 'thinking',
+        label: 'Thinking',
+        hint: 'Reasoning shown in a collapsed section above the response. Markdown and placeholders work here too.'
+    },
+    composite: {
+        field: 'parts',
+        label: 'Parts (JSON)',
+        hint: 'An ordered list of blocks: { "type": "text", "value": "..." }, { "type": "image", "value": "https://...", "caption": "..." }, ' +
+            '{ "type": "table", "columns": ["A", "B"], "rows": [[1, 2]] } or { "type": "code", "language": "sql", "value": "..." }.'
+    }
+};
+
+// Load rules on page load
+document.addEventListener('DOMContentLoaded', async () => {
+    storageManager.onError = (message) => showToast(message, 'error');
+    await storageManager.init();
+    chatImporter.init(storageManager);
+    loadDemoSettings();
+    await modelRegistry.loadModels();
+    renderModelOptions();
+    await loadRules();
+    updateMatchModeFields();
+    updateResponseTypeFields();
+    updatePersistenceStatus();
+    renderFeedback();
+    renderMigrationBackups();
+    renderStorageUsage();
+});
+
+// Load rule sets from localStorage first, then fallback to replies.json
+async function loadRules() {
+    const data = await ruleValidator.fetchRuleData();
+    ruleSets = data.ruleSets;
+    defaultRuleSet = data.defaultRuleSet;
+    selectRuleSet(ruleSets.some(set => set.name === currentRuleSetName) ? currentRuleSetName : defaultRuleSet);
+
+    if (data.source === 'fallback') {
+        showToast('Using embedded fallback rules - this is normal when opening files directly in browser', 'info');
+    }
+}
+
+// Get the rule set being edited
+function getCurrentRuleSet() {
+    return ruleSets.find(set => set.name === currentRuleSetName);
+}
+
+// Switch the rule set being edited
+function selectRuleSet(name) {
+    currentRuleSetName = name;
+    rules = getCurrentRuleSet().rules;
+    renderRuleSetOptions();
+    updateStats();
+    renderRules();
+}
+
+// Populate the rule set selector
+function renderRuleSetOptions() {
+    const select = document.getElementById('ruleSetSelect');
+    select.replaceChildren();
+    ruleSets.forEach(set => {
+        const option = document.createElement('option');
+        option.value = set.name;
+        option.textContent = set.name === defaultRuleSet ? `${set.name} (default)` : set.name;
+        select.appendChild(option);
+    });
+    select.value = currentRuleSetName;
+
+    const description = getCurrentRuleSet().description;
+    document.getElementById('ruleSetHint').textContent = description ||
+        'Chats remember the rule set they were started with. Pick one in the chat header.';
+}
+
+// Create an empty rule set and start editing it
+function createRuleSet() {
+    const name = (prompt('Name of the new rule set (e.g., IT helpdesk):') || '').trim();
+    if (!name) return;
+    if (ruleSets.some(set => set.name === name)) {
+        showToast(`A rule set named "${name}" already exists`, 'error');
+        return;
+    }
+
+    ruleSets.push({ name, rules: [] });
+    selectRuleSet(name);
+    saveRules();
+    showToast(`Rule set "${name}" created. Add responses to it below.`);
+}
+
+// Make the edited rule set the default for chats without a choice
+function makeDefaultRuleSet() {
+    defaultRuleSet = currentRuleSetName;
+    saveRules();
+    renderRuleSetOptions();
+    showToast(`"${currentRuleSetName}" is now the default rule set`);
+}
+
+// Delete the edited rule set
+function deleteRuleSet() {
+    if (ruleSets.length === 1) {
+        showToast('At least one rule set is required', 'error');
+        return;
+    }
+    if (confirm(`Delete the rule set "${currentRuleSetName}" and all of its responses?`)) {
+        ruleSets = ruleSets.filter(set => set.name !== currentRuleSetName);
+        if (defaultRuleSet === currentRuleSetName) {
+            defaultRuleSet = ruleSets[0].name;
+        }
+        selectRuleSet(defaultRuleSet);
+        saveRules();
+        showToast('Rule set deleted successfully!');
+    }
+}
+
+// Save rule sets to localStorage (immediately available in chat interface)
+function saveRules() {
+    getCurrentRuleSet().rules = rules;
+    const data = { version: SchemaMigrator.RULES_VERSION, defaultRuleSet, ruleSets };
+    localStorage.setItem('chatRules', JSON.stringify(data));
+
+    showToast('Rules saved to localStorage! Changes are now live in the chat interface.');
+
+    // Update the status display
+    updatePersistenceStatus();
+}
+
+// Update persistence status display
+function updatePersistenceStatus() {
+    const localRules = localStorage.getItem('chatRules');
+    const statusElement = document.getElementById('persistenceStatus');
+    if (statusElement) {
+        if (localRules) {
+            const data = ruleValidator.normalizeRuleData(JSON.parse(localRules)) || { ruleSets: [] };
+            const ruleCount = data.ruleSets.reduce((total, set) => total + set.rules.length, 0);
+            sanitizer.setHtml(statusElement, `
+                <div class="status-line status-line--ok">
+                    ✅ ${ruleCount} rules in ${data.ruleSets.length} rule sets active in localStorage
+                </div>
+                <div class="status-hint">
+                    Changes are live in the chat interface
+                </div>
+            `);
+        } else {
+            sanitizer.setHtml(statusElement, `
+                <div class="status-line status-line--warning">
+                    ⚠️ Using default JSON file rules
+                </div>
+                <div class="status-hint">
+                    Add rules to override defaults
+                </div>
+            `);
+        }
+    }
+}
+
+// Populate demo settings form from chat storage
+function loadDemoSettings() {
+    const settings = storageManager.getSettings();
+    document.getElementById('settingUserName').value = settings.userName;
+    document.getElementById('settingStreamingEnabled').checked = settings.streaming.enabled;
+    document.getElementById('settingTokensPerSecond').value = settings.streaming.tokensPerSecond;
+    document.getElementById('settingJitter').value = settings.streaming.jitter;
+    document.getElementById('settingFirstTokenDelay').value = settings.streaming.firstTokenDelay;
+    document.getElementById('settingCharsPerToken').value = settings.metadata.charsPerToken;
+    document.getElementById('settingPricePerToken').value = settings.metadata.pricePerToken;
+    document.getElementById('settingTrashRetentionDays').value = settings.trashRetentionDays;
+}
+
+// Read a number input, clamped to a range, falling back to a default
+function readNumber(id, min, max, fallback) {
+    const value = parseFloat(document.getElementById(id).value);
+    return isNaN(value) ? fallback : Math.min(Math.max(value, min), max);
+}
+
+// Save demo settings (read by the chat interface on every response)
+document.getElementById('demoSettingsForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const defaults = storageManager.getDefaultSettings();
+    const userName = document.getElementById('settingUserName').value.trim() || 'User';
+    const streaming = {
+        enabled: document.getElementById('settingStreamingEnabled').checked,
+        tokensPerSecond: readNumber('settingTokensPerSecond', 1, 500, defaults.streaming.tokensPerSecond),
+        jitter: readNumber('settingJitter', 0, 1, defaults.streaming.jitter),
+        firstTokenDelay: readNumber('settingFirstTokenDelay', 0, 10000, defaults.streaming.firstTokenDelay)
+    };
+
+    const metadata = {
+        charsPerToken: readNumber('settingCharsPerToken', 1, 20, defaults.metadata.charsPerToken),
+        pricePerToken: readNumber('settingPricePerToken', 0, 1, defaults.metadata.pricePerToken)
+    };
+
+    const trashRetentionDays = Math.round(readNumber('settingTrashRetentionDays', 0, 365, defaults.trashRetentionDays));
+
+    if (storageManager.updateSettings({ userName, streaming, metadata, trashRetentionDays })) {
+        loadDemoSettings();
+        showToast('Demo settings saved!');
+    } else {
+        showToast('Could not save settings - storage unavailable', 'error');
+    }
+});
+
+// Render one checkbox per model for scoping rules
+function renderModelOptions() {
+    const container = document.getElementById('ruleModels');
+    container.replaceChildren();
+
+    modelRegistry.getAllModels().forEach(model => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = model.id;
+        checkbox.name = 'ruleModel';
+
+        label.append(checkbox, ` ${model.icon || ''} ${model.name}`);
+        container.appendChild(label);
+    });
+}
+
+// Get model display names for a rule's model scope
+function getModelNames(rule) {
+    return ruleValidator.getRuleModels(rule)
+        .map(modelId => modelRegistry.hasModel(modelId) ? modelRegistry.getModel(modelId).name : `${modelId} (unknown)`);
+}
+
+// Show only the fields that apply to the selected match mode
+function updateMatchModeFields() {
+    const matchMode = document.getElementById('ruleMatchMode').value;
+    document.getElementById('thresholdGroup').style.display = matchMode === 'fuzzy' ? 'block' : 'none';
+    document.getElementById('keywordModeGroup').style.display = matchMode === 'keywords' ? 'block' : 'none';
+}
+
+document.getElementById('ruleMatchMode').addEventListener('change', updateMatchModeFields);
+
+// Show the details box of rich response types, labelled for the selected type
+function updateResponseTypeFields() {
+    const type = document.getElementById('ruleType').value;
+    const detail = responseDetailFields[type];
+    document.getElementById('ruleDetailsGroup').style.display = detail ? 'block' : 'none';
+
+    // Composite responses are written as parts; their text is built from them
+    document.getElementById('ruleValueGroup').style.display = type === 'composite' ? 'none' : 'block';
+    document.getElementById('ruleValue').required = type !== 'composite';
+    if (!detail) return;
+
+    document.getElementById('ruleDetailsLabel').textContent = detail.label;
+    document.getElementById('ruleDetailsHint').textContent = detail.hint;
+}
+
+document.getElementById('ruleType').addEventListener('change', updateResponseTypeFields);
+
+// Read the details box into the field of a rich response type
+function readResponseDetails(type) {
+    const detail = responseDetailFields[type];
+    if (!detail) return {};
+
+    const text = document.getElementById('ruleDetails').value.trim();
+    if (detail.field === 'thinking') {
+        return { thinking: text };
+    }
+
+    try {
+        return { [detail.field]: text ? JSON.parse(text) : [] };
+    } catch (error) {
+        throw new Error(`${detail.label} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Add new rule
+document.getElementById('addRuleForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const match = document.getElementById('ruleMatch').value.trim();
+    const matchMode = document.getElementById('ruleMatchMode').value;
+    const threshold = parseFloat(document.getElementById('ruleThreshold').value);
+    const type = document.getElementById('ruleType').value;
+    // Composite responses have no value of their own (the field is hidden)
+    const values = type === 'composite' ? [] : document.getElementById('ruleValue').value
+        .split(/^\s*---\s*$/m)
+        .map(text => text.trim())
+        .filter(Boolean);
+    const value = values.length > 1 ? values : (values[0] || '');
+    const priority = parseInt(document.getElementById('rulePriority').value);
+    const followupText = document.getElementById('ruleFollowup').value.trim();
+
+    if (!match || (!value && type !== 'composite')) {
+        showToast('Please fill in all required fields', 'error');
+        return;
+    }
+
+    const followup = followupText ? followupText.split('\n').filter(line => line.trim()) : [];
+    const requires = document.getElementById('ruleRequires').value.split(',').map(state => state.trim()).filter(Boolean);
+    const sets = document.getElementById('ruleSets').value.trim();
+    const endsFlow = document.getElementById('ruleEndsFlow').checked;
+
+    let details;
+    try {
+        details = readResponseDetails(type);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    const newRule = {
+        match: match, // Store as exact string, not array
+        type,
+        value,
+        priority,
+        followup,
+        caseSensitive: false, // Case insensitive match
+        contains: matchMode === 'contains',
+        matchMode,
+        ...details
+    };
+
+    if (type === 'composite') {
+        delete newRule.value;
+    }
+
+    if (values.length > 1) {
+        newRule.variantMode = document.getElementById('ruleVariantMode').value;
+    }
+
+    if (matchMode === 'fuzzy') {
+        newRule.threshold = isNaN(threshold) ? 0.85 : Math.min(Math.max(threshold, 0.5), 1);
+    } else if (matchMode === 'keywords') {
+        newRule.keywordMode = document.getElementById('ruleKeywordMode').value;
+    }
+
+    const models = Array.from(document.querySelectorAll('input[name="ruleModel"]:checked')).map(input => input.value);
+    if (models.length > 0) {
+        newRule.models = models;
+    }
+
+    const metadata = {};
+    [
+        ['ruleResponseTime', 'responseTime'],
+        ['ruleTokensPerSecond', 'tokensPerSecond'],
+        ['ruleTokens', 'tokens'],
+        ['ruleCost', 'cost']
+    ].forEach(([id, key]) => {
+        const value = parseFloat(document.getElementById(id).value);
+        if (!isNaN(value)) metadata[key] = value;
+    });
+    if (Object.keys(metadata).length > 0) {
+        newRule.metadata = metadata;
+    }
+
+    if (requires.length > 0) {
+        newRule.requires = requires.length === 1 ? requires[0] : requires;
+    }
+
+    if (endsFlow) {
+        newRule.sets = null;
+    } else if (sets) {
+        newRule.sets = sets;
+    }
+
+    const errors = ruleValidator.validateRule(newRule);
+    if (errors.length > 0) {
+        showToast(errors.join('. '), 'error');
+        return;
+    }
+
+    rules.push(newRule);
+    saveRules();
+    updateStats();
+    renderRules();
+
+    // Clear form
+    document.getElementById('addRuleForm').reset();
+    document.getElementById('rulePriority').value = 5;
+    updateMatchModeFields();
+    updateResponseTypeFields();
+
+    showToast('Prompt response added successfully!');
+});
+
+// Update statistics
+function updateStats() {
+    const totalRules = rules.length;
+    const textRules = rules.filter(r => r.type !== 'image').length; // Rich types are text with extras
+    const imageRules = rules.filter(r => r.type === 'image').length;
+
+    document.getElementById('totalRules').textContent = totalRules;
+    document.getElementById('textRules').textContent = textRules;
+    document.getElementById('imageRules').textContent = imageRules;
+}
+
+// Render rules list
+function renderRules() {
+    const rulesList = document.getElementById('rulesList');
+
+    if (rules.length === 0) {
+        sanitizer.setHtml(rulesList, '<div class="empty-state">No rules found</div>');
+        return;
+    }
+
+    const sortedRules = [...rules].sort((a, b) => (b.priority || 5) - (a.priority || 5));
+
+    sanitizer.setHtml(rulesList, sortedRules.map((rule, sortedIndex) => {
+        // Find the original index in the unsorted array
+        const originalIndex = rules.findIndex(r => r === rule);
+        const values = ruleValidator.getValues(rule);
+        const details = responseDetailFields[rule.type] ? rule[responseDetailFields[rule.type].field] : null;
+        return `
+        <div class="rule-item">
+            <div class="rule-content">
+                <div class="rule-match">${escapeHtml(rule.match)}</div>
+                <div class="rule-response">${escapeHtml(values[0].substring(0, 100))}${values[0].length > 100 ? '...' : ''}</div>
+                <span class="rule-type ${escapeHtml(rule.type)}">${escapeHtml(rule.type)}</span>
+                <span class="rule-mode">${escapeHtml(ruleValidator.getMatchMode(rule))}${rule.matchMode === 'fuzzy' ? ` ≥ ${escapeHtml(rule.threshold || 0.85)}` : ''}${rule.matchMode === 'keywords' ? ` (${escapeHtml(rule.keywordMode || 'all')})` : ''}</span>
+                ${rule.priority ? `<span class="rule-priority">Priority: ${escapeHtml(rule.priority)}</span>` : ''}
+                ${rule.models ? `<span class="rule-mode">${escapeHtml(getModelNames(rule).join(', '))}</span>` : ''}
+                ${rule.requires ? `<span class="rule-mode">requires ${escapeHtml(ruleValidator.getRequiredStates(rule).join(' | '))}</span>` : ''}
+                ${Array.isArray(details) ? `<span class="rule-mode">${details.length} ${escapeHtml(responseDetailFields[rule.type].field)}</span>` : ''}
+                ${values.length > 1 ? `<span class="rule-mode">${values.length} alternatives (${escapeHtml(rule.variantMode || 'rotate')})</span>` : ''}
+                ${rule.sets !== undefined ? `<span class="rule-mode">sets ${rule.sets === null ? '(end flow)' : escapeHtml(rule.sets)}</span>` : ''}
+            </div>
+            <div class="rule-actions">
+                <button class="btn btn-small btn-secondary" data-action="edit-rule" data-index="${originalIndex}">Edit</button>
+                <button class="btn btn-small btn-danger" data-action="delete-rule" data-index="${originalIndex}">Delete</button>
+            </div>
+        </div>
+        `;
+    }).join(''));
+}
+
+// Delete rule
+function deleteRule(index) {
+    if (confirm('Are you sure you want to delete this rule?')) {
+        rules.splice(index, 1);
+        saveRules();
+        updateStats();
+        renderRules();
+        showToast('Rule deleted successfully!');
+    }
+}
+
+// Edit rule (simplified - just populate form)
+function editRule(index) {
+    const rule = rules[index];
+
+    document.getElementById('ruleMatch').value = rule.match; // Always a string for exact matches
+    document.getElementById('ruleMatchMode').value = ruleValidator.getMatchMode(rule);
+    document.getElementById('ruleThreshold').value = rule.threshold || 0.85;
+    document.getElementById('ruleKeywordMode').value = rule.keywordMode || 'all';
+    updateMatchModeFields();
+    document.getElementById('ruleType').value = rule.type;
+    updateResponseTypeFields();
+    const detail = responseDetailFields[rule.type];
+    const detailValue = detail ? rule[detail.field] : undefined;
+    document.getElementById('ruleDetails').value = detailValue === undefined ? '' :
+        (typeof detailValue === 'string' ? detailValue : JSON.stringify(detailValue, null, 2));
+    document.getElementById('ruleValue').value = ruleValidator.getValues(rule).join('\n---\n');
+    document.getElementById('ruleVariantMode').value = rule.variantMode || 'rotate';
+    document.getElementById('rulePriority').value = rule.priority || 5;
+    document.getElementById('ruleFollowup').value = rule.followup ? rule.followup.join('\n') : '';
+    document.getElementById('ruleRequires').value = ruleValidator.getRequiredStates(rule).join(', ');
+    document.getElementById('ruleSets').value = rule.sets || '';
+    document.getElementById('ruleEndsFlow').checked = rule.sets === null;
+    const ruleModels = ruleValidator.getRuleModels(rule);
+    document.querySelectorAll('input[name="ruleModel"]').forEach(input => {
+        input.checked = ruleModels.includes(input.value);
+    });
+    const metadata = rule.metadata || {};
+    document.getElementById('ruleResponseTime').value = metadata.responseTime ?? '';
+    document.getElementById('ruleTokensPerSecond').value = metadata.tokensPerSecond ?? '';
+    document.getElementById('ruleTokens').value = metadata.tokens ?? '';
+    document.getElementById('ruleCost').value = metadata.cost ?? '';
+
+    // Remove the rule so it can be re-added (without confirmation dialog)
+    rules.splice(index, 1);
+    saveRules();
+    updateStats();
+    renderRules();
+
+    showToast('Rule loaded for editing. Modify and click "Add Response" to save.');
+}
+
+// Export rules
+function exportRules() {
+    getCurrentRuleSet().rules = rules;
+    const data = { version: SchemaMigrator.RULES_VERSION, defaultRuleSet, ruleSets };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'replies.json';
+    a.click();
+    URL.revokeObjectURL(url);
+    showToast('Rules exported successfully!');
+}
+
+// Import rules
+function importRules(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const data = JSON.parse(e.target.result);
+            const imported = ruleValidator.normalizeRuleData(data);
+            if (imported) {
+                let importedCount = 0;
+                let skipped = 0;
+                imported.ruleSets.forEach(set => {
+                    const validRules = set.rules.filter(rule => ruleValidator.validateRule(rule).length === 0);
+                    set.rules
+                        .filter(rule => !validRules.includes(rule))
+                        .forEach(rule => console.warn('Invalid rule skipped:', rule, ruleValidator.validateRule(rule)));
+                    importedCount += validRules.length;
+                    skipped += set.rules.length - validRules.length;
+                    set.rules = validRules;
+                });
+
+                if (Array.isArray(data.ruleSets)) {
+                    // A file with rule sets replaces all of them
+                    ruleSets = imported.ruleSets;
+                    defaultRuleSet = imported.defaultRuleSet;
+                    currentRuleSetName = ruleSets.some(set => set.name === currentRuleSetName) ? currentRuleSetName : defaultRuleSet;
+                } else {
+                    // A plain rules file replaces the rule set being edited
+                    getCurrentRuleSet().rules = imported.ruleSets[0].rules;
+                }
+                selectRuleSet(currentRuleSetName);
+                saveRules();
+                if (skipped > 0) {
+                    showToast(`Imported ${importedCount} rules, skipped ${skipped} invalid rules (see console)`, 'error');
+                } else {
+                    showToast('Rules imported successfully!');
+                }
+            } else {
+                showToast('Invalid file format', 'error');
+            }
+        } catch (error) {
+            showToast('Error parsing file', 'error');
+        }
+    };
+    reader.readAsText(file);
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+    return sanitizer.escapeHtml(text);
+}
+
+// Read a chat export and show what would be imported
+function previewChatImport(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            pendingImport = chatImporter.parse(e.target.result);
+            renderChatImportPreview();
+        } catch (error) {
+            pendingImport = null;
+            document.getElementById('chatImportPreview').replaceChildren();
+            showToast(error.message, 'error');
+        }
+    };
+    reader.readAsText(file);
+}
+
+// Render the pending import with a checkbox per chat
+function renderChatImportPreview() {
+    const preview = document.getElementById('chatImportPreview');
+    const { formatName, chats, folders, warnings } = pendingImport;
+    const countVersions = (chat) => Object.keys(chat.branches || {}).length;
+
+    sanitizer.setHtml(preview, `
+        <div class="import-summary">
+            <strong>${escapeHtml(formatName)}</strong>: ${chats.length} chat${chats.length === 1 ? '' : 's'}${folders.length ? `, ${folders.length} folder${folders.length === 1 ? '' : 's'}` : ''}
+        </div>
+        ${warnings.length ? `<ul class="import-warnings">${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>` : ''}
+        <table class="feedback-table">
+            <thead>
+                <tr>
+                    <th><input type="checkbox" id="chatImportAll" checked aria-label="Select all chats"></th>
+                    <th>Title</th>
+                    <th>Messages</th>
+                    <th>Last updated</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${chats.map((chat, index) => `
+                    <tr>
+                        <td><input type="checkbox" name="chatImport" value="${index}" checked aria-label="Import ${escapeHtml(chat.title)}"></td>
+                        <td>
+                            <div class="rule-match">${escapeHtml(chat.title)}</div>
+                            <div class="feedback-chat">${escapeHtml(chat.messages[0].content.slice(0, 100))}</div>
+                        </td>
+                        <td class="feedback-count">${chat.messages.length}${countVersions(chat) ? ` <span class="feedback-chat">(+${countVersions(chat)} branched)</span>` : ''}</td>
+                        <td class="feedback-count">${escapeHtml(new Date(chat.updated).toLocaleString())}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="import-actions">
+            <button class="btn" id="chatImportConfirm" data-action="commit-chat-import">Import</button>
+            <button class="btn btn-secondary" data-action="cancel-chat-import">Cancel</button>
+        </div>
+    `);
+    updateChatImportButton();
+}
+
+// Get the chats ticked in the import preview
+function getSelectedChatImports() {
+    return [...document.querySelectorAll('input[name="chatImport"]:checked')]
+        .map(checkbox => pendingImport.chats[Number(checkbox.value)]);
+}
+
+function toggleAllChatImports(checked) {
+    document.querySelectorAll('input[name="chatImport"]').forEach(checkbox => {
+        checkbox.checked = checked;
+    });
+    updateChatImportButton();
+}
+
+function updateChatImportButton() {
+    const count = getSelectedChatImports().length;
+    const button = document.getElementById('chatImportConfirm');
+    button.textContent = `Import ${count} chat${count === 1 ? '' : 's'}`;
+    button.disabled = count === 0;
+}
+
+// Save the selected chats to chat storage
+async function commitChatImport() {
+    const chats = getSelectedChatImports();
+    const chatIds = chats.map(chat => chat.id);
+    const bookmarks = pendingImport.bookmarks.filter(bookmark => chatIds.includes(bookmark.chatId));
+
+    // Wait for the write so a full storage is reported here, not after the preview is gone
+    if (storageManager.importChats({ chats, folders: pendingImport.folders, bookmarks }) &&
+        await storageManager.flush()) {
+        // Older imported chats may have been trimmed to stay within the chat limit
+        const storedIds = new Set(storageManager.getStorageData().chats.map(chat => chat.id));
+        const kept = chatIds.filter(id => storedIds.has(id)).length;
+        const skipped = chats.length - kept;
+        showToast(`Imported ${kept} chat${kept === 1 ? '' : 's'}` +
+            (skipped > 0 ? `; ${skipped} older one${skipped === 1 ? '' : 's'} did not fit the ${storageManager.maxChats}-chat limit` : ''));
+        cancelChatImport();
+        renderFeedback();
+    }
+}
+
+function cancelChatImport() {
+    pendingImport = null;
+    document.getElementById('chatImportPreview').replaceChildren();
+}
+
+// Download every stored chat as a backup that can be imported again
+function downloadChatBackup() {
+    const backup = storageManager.exportData();
+    if (!backup) {
+        showToast('No chat data to back up', 'error');
+        return;
+    }
+
+    const blob = new Blob([backup], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `chat-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showToast('Backup downloaded');
+}
+
+// Show space used in total, against the quota, and per chat
+async function renderStorageUsage() {
+    const stats = storageManager.getStorageStats();
+    const quota = await storageManager.getQuotaStats();
+    const usage = document.getElementById('storageUsage');
+    const chats = document.getElementById('storageChats');
+
+    if (!stats || !quota.backend) {
+        sanitizer.setHtml(usage, '<div class="form-hint">Storage is not available in this browser - chats are not saved.</div>');
+        chats.replaceChildren();
+        return;
+    }
+
+    const backendName = quota.backend === 'indexedDB' ? 'IndexedDB' : 'localStorage';
+    const used = quota.usage !== null ? quota.usage : stats.storageSize;
+    sanitizer.setHtml(usage, `
+        <div>
+            <strong>${escapeHtml(storageManager.formatBytes(used))}</strong> used
+            ${quota.quota ? ` of ${escapeHtml(storageManager.formatBytes(quota.quota))} (${quota.percent.toFixed(1)}%)` : ''}
+            in ${backendName} &middot; chats take ${escapeHtml(stats.storageSizeFormatted)}
+        </div>
+        ${quota.percent !== null ? `
+            <div class="storage-meter" role="progressbar" aria-label="Storage used" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(quota.percent)}">
+                <div class="storage-meter__fill${quota.percent >= 80 ? ' storage-meter__fill--high' : ''}"></div>
+            </div>
+        ` : ''}
+        <div class="form-hint">${stats.totalChats} of ${stats.maxChats} chats, ${stats.totalMessages} messages</div>
+    `);
+
+    // Sanitized markup has no style attributes, so the meter is sized here
+    const fill = usage.querySelector('.storage-meter__fill');
+    if (fill) {
+        fill.style.width = `${quota.percent}%`;
+    }
+
+    if (stats.chats.length === 0) {
+        sanitizer.setHtml(chats, '<div class="form-hint">No chats stored yet.</div>');
+        return;
+    }
+
+    sanitizer.setHtml(chats, `
+        <table class="feedback-table">
+            <thead>
+                <tr><th>Chat</th><th>Messages</th><th>Size</th><th>Last updated</th></tr>
+            </thead>
+            <tbody>
+                ${stats.chats.map(chat => `
+                    <tr>
+                        <td>
+                            ${escapeHtml(chat.title)}
+                            ${chat.pinned ? '<div class="feedback-chat">Pinned</div>' : ''}
+                            ${chat.archived ? '<div class="feedback-chat">Archived</div>' : ''}
+                            ${chat.deletedAt ? '<div class="feedback-chat">In trash</div>' : ''}
+                        </td>
+                        <td>${escapeHtml(chat.messageCount)}</td>
+                        <td class="feedback-count">${escapeHtml(chat.sizeFormatted)}</td>
+                        <td>${escapeHtml(new Date(chat.updated).toLocaleDateString())}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `);
+}
+
+// Run a cleanup action, then report the result and refresh the panels that show chats
+async function finishCleanup(message) {
+    const saved = await storageManager.flush();
+    if (saved) {
+        showToast(message);
+    }
+    renderStorageUsage();
+    renderFeedback();
+}
+
+// Permanently delete chats older than the chosen number of days
+function deleteOldChats() {
+    const days = parseInt(document.getElementById('cleanupDays').value, 10);
+    if (!(days > 0)) {
+        showToast('Enter a number of days', 'error');
+        return;
+    }
+
+    const count = storageManager.getChatsOlderThan(days).length;
+    if (count === 0) {
+        showToast(`No unpinned chats are older than ${days} days`, 'info');
+        return;
+    }
+    if (!confirm(`Permanently delete ${count} chat${count === 1 ? '' : 's'} not updated in the last ${days} days?`)) return;
+
+    const deleted = storageManager.deleteChatsOlderThan(days);
+    finishCleanup(`Deleted ${deleted} chat${deleted === 1 ? '' : 's'}`);
+}
+
+// Replace images embedded in chats with a note
+function dropImagePayloads() {
+    if (!confirm('Replace every image embedded in a chat with a note? Images linked by URL are kept.')) return;
+
+    const { messages, bytes } = storageManager.dropImagePayloads();
+    if (messages === 0) {
+        showToast('No chats contain embedded images', 'info');
+        return;
+    }
+    finishCleanup(`Removed ${messages} image${messages === 1 ? '' : 's'}, freeing ${storageManager.formatBytes(bytes)}`);
+}
+
+// Drop the older versions of edited and regenerated messages
+function compactChatHistory() {
+    if (!confirm('Remove the older versions of edited and regenerated messages from every chat?')) return;
+
+    const { versions, bytes } = storageManager.compactHistory();
+    if (versions === 0) {
+        showToast('There are no older versions to remove', 'info');
+        return;
+    }
+    finishCleanup(`Removed ${versions} older version${versions === 1 ? '' : 's'}, freeing ${storageManager.formatBytes(bytes)}`);
+}
+
+// List the snapshots taken before chats or rules were migrated
+async function renderMigrationBackups() {
+    migrationBackups = [...await storageManager.getBackups(), ...ruleValidator.getRuleBackups()];
+    const container = document.getElementById('migrationBackups');
+
+    if (migrationBackups.length === 0) {
+        sanitizer.setHtml(container, '<div class="form-hint">No migration backups - stored data has not needed an upgrade.</div>');
+        return;
+    }
+
+    sanitizer.setHtml(container, `
+        <table class="feedback-table">
+            <thead>
+                <tr><th>Data</th><th>Format version</th><th>Taken</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${migrationBackups.map((backup, index) => `
+                    <tr>
+                        <td>${backup.kind === 'chats' ? 'Chats' : 'Rules'}</td>
+                        <td>${escapeHtml(String(backup.version))}</td>
+                        <td>${escapeHtml(new Date(backup.created).toLocaleString())}</td>
+                        <td><button class="btn btn-secondary" data-action="download-migration-backup" data-index="${index}">Download</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `);
+}
+
+// Download a migration backup in the format the matching import accepts
+function downloadMigrationBackup(index) {
+    const backup = migrationBackups[index];
+    const blob = new Blob([JSON.stringify(backup.data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${backup.kind}-v${backup.version}-backup.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Aggregate chat feedback per rule and render the dashboard
+function renderFeedback() {
+    const summary = document.getElementById('feedbackSummary');
+    const groups = new Map();
+
+    storageManager.getAllFeedback().forEach(entry => {
+        // Responses saved before rules were recorded on messages share one row
+        const rule = entry.rule || { match: '(unknown rule)' };
+        const key = JSON.stringify([rule.ruleSet, rule.match, rule.requires, rule.models]);
+        if (!groups.has(key)) {
+            groups.set(key, { rule, likes: 0, dislikes: 0, reasons: [] });
+        }
+        const group = groups.get(key);
+        if (entry.rating === 'like') {
+            group.likes++;
+        } else {
+            group.dislikes++;
+            if (entry.reason) group.reasons.push(entry);
+        }
+    });
+
+    if (groups.size === 0) {
+        sanitizer.setHtml(summary, '<div class="status-hint">No feedback yet. Use 👍 and 👎 on responses in the chat.</div>');
+        return;
+    }
+
+    // Most disliked rules first
+    const rows = [...groups.values()].sort((a, b) => b.dislikes - a.dislikes || b.likes - a.likes);
+    sanitizer.setHtml(summary, `
+        <table class="feedback-table">
+            <thead>
+                <tr>
+                    <th>Rule</th>
+                    <th>👍</th>
+                    <th>👎</th>
+                    <th>Dislike reasons</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>
+                            <div class="rule-match">${escapeHtml(row.rule.match)}</div>
+                            ${row.rule.ruleSet ? `<span class="rule-mode rule-mode--first">${escapeHtml(row.rule.ruleSet)}</span>` : ''}
+                            ${row.rule.requires ? `<span class="rule-mode">requires ${escapeHtml(row.rule.requires.join(' | '))}</span>` : ''}
+                            ${row.rule.models ? `<span class="rule-mode">${escapeHtml(row.rule.models.join(', '))}</span>` : ''}
+                        </td>
+                        <td class="feedback-count">${row.likes}</td>
+                        <td class="feedback-count">${row.dislikes}</td>
+                        <td>
+                            ${row.reasons.length ? `
+                                <ul class="feedback-reasons">
+                                    ${row.reasons
+                                        .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+                                        .map(entry => `<li>${escapeHtml(entry.reason)} <span class="feedback-chat">— ${escapeHtml(entry.chatTitle)}</span></li>`)
+                                        .join('')}
+                                </ul>
+                            ` : '<span class="feedback-chat">None given</span>'}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `);
+}
+
+// Show toast notification
+function showToast(message, type = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    setTimeout(() => {
+        toast.remove();
+    }, 3000);
+}
+
+// Clear localStorage and reset to default rules
+function clearLocalStorage() {
+    if (confirm('This will reset all rules to defaults and remove your custom rules. Are you sure?')) {
+        localStorage.removeItem('chatRules');
+        showToast('localStorage cleared! Chat interface will use default rules.', 'info');
+        updatePersistenceStatus();
+
+        // Reload rules from JSON
+        loadRules();
+    }
+}
+
+// Test connection to chat interface
+function testChatConnection() {
+    const testWindow = window.open('index.html', '_blank');
+    if (testWindow) {
+        showToast('Chat interface opened in new tab. Test your custom prompts!', 'info');
+    } else {
+        showToast('Please allow popups to test the chat interface', 'error');
+    }
+}
+
+// Buttons name their handler in data-action: the Content Security Policy blocks inline onclick attributes
+const actions = {
+    'reset-rules': () => clearLocalStorage(),
+    'open-chat': () => testChatConnection(),
+    'create-rule-set': () => createRuleSet(),
+    'make-default-rule-set': () => makeDefaultRuleSet(),
+    'delete-rule-set': () => deleteRuleSet(),
+    'edit-rule': (button) => editRule(Number(button.dataset.index)),
+    'delete-rule': (button) => deleteRule(Number(button.dataset.index)),
+    'export-rules': () => exportRules(),
+    'choose-file': (button) => document.getElementById(button.dataset.input).click(),
+    'refresh-feedback': () => renderFeedback(),
+    'download-chat-backup': () => downloadChatBackup(),
+    'commit-chat-import': () => commitChatImport(),
+    'cancel-chat-import': () => cancelChatImport(),
+    'download-migration-backup': (button) => downloadMigrationBackup(Number(button.dataset.index)),
+    'delete-old-chats': () => deleteOldChats(),
+    'drop-image-payloads': () => dropImagePayloads(),
+    'compact-chat-history': () => compactChatHistory(),
+    'refresh-storage': () => renderStorageUsage()
+};
+
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (button && actions[button.dataset.action]) {
+        actions[button.dataset.action](button);
+    }
+});
+
+document.getElementById('ruleSetSelect').addEventListener('change', (e) => selectRuleSet(e.target.value));
+document.getElementById('importFile').addEventListener('change', importRules);
+document.getElementById('chatImportFile').addEventListener('change', previewChatImport);
+document.getElementById('chatImportPreview').addEventListener('change', (e) => {
+    if (e.target.id === 'chatImportAll') {
+        toggleAllChatImports(e.target.checked);
+    } else if (e.target.name === 'chatImport') {
+        updateChatImportButton();
+    }
+});
+
+// Update persistence status on rule changes
+const originalSaveRules = saveRules;
+saveRules = function() {
+    originalSaveRules();
+    updatePersistenceStatus();
+};
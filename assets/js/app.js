@@ -10,6 +10,8 @@ class App {
         this.chatManager = null;
         this.storageManager = null;
         this.sidebarManager = null;
+        this.modelRegistry = null;
+        this.exportManager = null;
         this.isInitialized = false;
     }
 
@@ -24,11 +26,20 @@ class App {
             this.storageManager = new StorageManager();
             this.uiManager = new UIManager();
             this.messageMatcher = new MessageMatcher();
+            this.modelRegistry = new ModelRegistry();
             this.chatManager = new ChatManager();
             this.sidebarManager = new SidebarManager();
+            this.exportManager = new ExportManager();
+
+            // Tell the user when chats can't be saved or upgraded, or are about to be trimmed
+            this.storageManager.onError = (message) => this.uiManager.showToast(message);
+            this.storageManager.onWarning = (message) => this.uiManager.showToast(message, {
+                label: 'Manage storage',
+                onClick: () => window.open('admin.html#storageSection', '_blank')
+            });
 
             // Initialize storage first
-            const storageInitialized = this.storageManager.init();
+            const storageInitialized = await this.storageManager.init();
             if (!storageInitialized) {
                 console.warn('Storage not available, running without persistence');
             }
@@ -39,8 +50,8 @@ class App {
                 throw new Error('Failed to initialize UI');
             }
 
-            // Initialize chat manager (this will load the message rules)
-            const chatInitialized = await this.chatManager.init(this.uiManager, this.messageMatcher, this.storageManager);
+            // Initialize chat manager (this will load the message rules and models)
+            const chatInitialized = await this.chatManager.init(this.uiManager, this.messageMatcher, this.storageManager, this.modelRegistry);
             if (!chatInitialized) {
                 throw new Error('Failed to initialize chat manager');
             }
@@ -51,12 +62,20 @@ class App {
                 throw new Error('Failed to initialize sidebar');
             }
 
+            // Initialize chat export menus
+            this.exportManager.init(this.storageManager, this.chatManager, this.sidebarManager, this.modelRegistry);
+
             // Set up global references for cross-module communication
             window.chatManager = this.chatManager;
             window.uiManager = this.uiManager;
             window.messageMatcher = this.messageMatcher;
+            window.modelRegistry = this.modelRegistry;
             window.storageManager = this.storageManager;
             window.sidebarManager = this.sidebarManager;
+            window.exportManager = this.exportManager;
+
+            // Follow changes made in other tabs
+            this.storageManager.onExternalChange = () => this.sidebarManager.loadChatHistory();
 
             // Override the UI manager's handleSendMessage to use chat manager
             this.setupMessageHandling();
@@ -85,19 +104,19 @@ class App {
         
         this.uiManager.handleSendMessage = () => {
             const message = this.uiManager.getInputValue();
-            if (!message) return;
+            if (!message || this.uiManager.isBusy()) return;
 
             // Disable send button temporarily
             this.uiManager.setSendButtonState(false);
 
             // Add user message to chat
-            this.uiManager.addMessage(message, 'user');
+            const messageElement = this.uiManager.addMessage(message, 'user');
 
             // Clear input
             this.uiManager.clearInput();
 
             // Process through chat manager
-            this.chatManager.processUserInput(message);
+            this.chatManager.processUserInput(message, messageElement);
         };
     }
 
@@ -124,13 +143,14 @@ class App {
         if (chatMessages) {
             const errorElement = document.createElement('div');
             errorElement.className = 'message message--system message--error';
-            errorElement.innerHTML = `
+            const sanitizer = new HtmlSanitizer();
+            sanitizer.setHtml(errorElement, `
                 <div class="message__content">
                     <strong>Initialization Error:</strong><br>
-                    ${errorMessage}<br><br>
+                    ${sanitizer.escapeHtml(errorMessage)}<br><br>
                     Please refresh the page and try again.
                 </div>
-            `;
+            `);
             chatMessages.appendChild(errorElement);
         }
 
@@ -171,9 +191,9 @@ class App {
             // Resume existing chat
             this.chatManager.loadChat(currentChatId);
             this.sidebarManager.selectChat(currentChatId);
-        } else if (allChats.length > 0) {
-            // Load the most recent chat
-            const mostRecentChat = allChats[0];
+        } else if (allChats.some(chat => !chat.archived)) {
+            // Load the most recent chat that is not archived
+            const mostRecentChat = allChats.find(chat => !chat.archived);
             this.chatManager.loadChat(mostRecentChat.id);
             this.sidebarManager.selectChat(mostRecentChat.id);
         } else {
@@ -206,6 +226,9 @@ class App {
             sidebarReady: this.sidebarManager !== null,
             storageReady: this.storageManager && this.storageManager.isAvailable(),
             rulesLoaded: this.messageMatcher ? this.messageMatcher.getAllRules().length : 0,
+            modelsLoaded: this.modelRegistry ? this.modelRegistry.getAllModels().length : 0,
+            currentModel: this.chatManager ? this.chatManager.currentModelId : null,
+            currentRuleSet: this.messageMatcher ? this.messageMatcher.getActiveRuleSet() : null,
             totalChats: this.storageManager ? this.storageManager.getAllChats().length : 0
         };
     }
@@ -261,6 +284,10 @@ window.debugChat = {
     getStatus: () => window.app ? window.app.getStatus() : null,
     getRules: () => window.messageMatcher ? window.messageMatcher.getAllRules() : null,
     getRulesSource: () => window.messageMatcher ? window.messageMatcher.getRulesSource() : null,
+    getModels: () => window.modelRegistry ? window.modelRegistry.getAllModels() : null,
+    setModel: (modelId) => window.chatManager ? window.chatManager.setModel(modelId) : null,
+    getRuleSets: () => window.messageMatcher ? window.messageMatcher.getRuleSetNames() : null,
+    setRuleSet: (name) => window.chatManager ? window.chatManager.setRuleSet(name) : null,
     reloadRules: () => window.messageMatcher ? window.messageMatcher.reloadRules() : null,
     getHistory: () => window.chatManager ? window.chatManager.getMessageHistory() : null,
     clearChat: () => window.chatManager ? window.chatManager.clearChat() : null,
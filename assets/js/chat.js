@@ -8,8 +8,11 @@ class ChatManager {
         this.uiManager = null;
         this.messageMatcher = null;
         this.storageManager = null;
+        this.modelRegistry = null;
         this.isInitialized = false;
         this.currentChatId = null;
+        this.currentModelId = null;
+        this.conversationState = null; // Named flow state, persisted with the chat
         this.messageHistory = [];
     }
 
@@ -18,15 +21,28 @@ class ChatManager {
      * @param {UIManager} uiManager - UI manager instance
      * @param {MessageMatcher} messageMatcher - Message matcher instance
      * @param {StorageManager} storageManager - Storage manager instance
+     * @param {ModelRegistry} modelRegistry - Model registry instance
      */
-    async init(uiManager, messageMatcher, storageManager) {
+    async init(uiManager, messageMatcher, storageManager, modelRegistry) {
         this.uiManager = uiManager;
         this.messageMatcher = messageMatcher;
         this.storageManager = storageManager;
+        this.modelRegistry = modelRegistry;
 
         try {
-            // Load message matching rules
+            // Load message matching rules and the model list
             await this.messageMatcher.loadRules();
+            await this.modelRegistry.loadModels();
+
+            // Set up the header model picker
+            this.uiManager.renderModelPicker(this.modelRegistry.getAllModels(), (modelId) => {
+                this.setModel(modelId);
+            });
+            this.applyModel(this.storageManager.getSettings().selectedModel);
+
+            // Set up the rule set switcher
+            this.renderRuleSetPicker();
+            this.applyRuleSet(this.storageManager.getSettings().selectedRuleSet);
             
             this.isInitialized = true;
             console.log('Chat manager initialized successfully');
@@ -45,8 +61,9 @@ class ChatManager {
     /**
      * Process user message and generate response
      * @param {string} userMessage - The user's message
+     * @param {HTMLElement|null} userElement - Rendered user message, tagged with its stored ID
      */
-    async processUserMessage(userMessage) {
+    async processUserMessage(userMessage, userElement = null) {
         if (!this.isInitialized) {
             console.error('Chat manager not initialized');
             return;
@@ -63,7 +80,16 @@ class ChatManager {
             content: userMessage
         };
         
-        this.storageManager.addMessageToChat(this.currentChatId, userMessageObj);
+        const userMessageId = this.storageManager.addMessageToChat(this.currentChatId, userMessageObj);
+        if (userElement && userMessageId) {
+            userElement.dataset.messageId = userMessageId;
+        }
+
+        // A chat keeps the rule set it was started with
+        const currentChat = this.storageManager.getChat(this.currentChatId);
+        if (currentChat && !currentChat.ruleSet) {
+            this.storageManager.updateChat(this.currentChatId, { ruleSet: this.messageMatcher.getActiveRuleSet() });
+        }
 
         // Add to local message history
         this.messageHistory.push({
@@ -72,21 +98,36 @@ class ChatManager {
             timestamp: new Date()
         });
 
+        await this.generateResponse(userMessage, this.currentChatId);
+    }
+
+    /**
+     * Match a user message and render and store the assistant's answer
+     * @param {string} userMessage - The user's message
+     * @param {string} chatId - Chat the answer belongs to
+     * @param {Object} options - Regeneration options
+     * @param {string} options.replaceMessageId - Assistant message the answer replaces as a new version
+     * @param {number} options.previousVariant - Value variant of the replaced answer
+     */
+    async generateResponse(userMessage, chatId, options = {}) {
         // Show loading state
         const loadingElement = this.uiManager.showLoading();
 
         try {
-            // Small delay to show loading state
-            await this.delay(300);
-
-            // Get response from message matcher
-            const response = this.messageMatcher.processInput(userMessage);
+            // Match before the delay so the response reflects the chat it was sent in
+            const response = this.messageMatcher.processInput(userMessage, {
+                ...this.buildTemplateContext(),
+                previousVariant: options.previousVariant
+            });
+
+            // Simulated time to first token
+            await this.delay(this.getLatencyProfile().firstTokenDelay);
             
             // Remove loading state
             this.uiManager.removeLoading(loadingElement);
 
             // Handle response based on current mode and response type
-            await this.handleResponse(response, userMessage);
+            await this.handleResponse(response, userMessage, chatId, options.replaceMessageId);
 
         } catch (error) {
             console.error('Error processing message:', error);
@@ -95,12 +136,241 @@ class ChatManager {
         }
     }
 
+    /**
+     * Get a message of the current chat
+     * @param {string} messageId - Message ID
+     * @returns {Object|null} - Stored message or null
+     */
+    getMessage(messageId) {
+        const chat = this.currentChatId ? this.storageManager.getChat(this.currentChatId) : null;
+        return chat ? chat.messages.find(m => m.id === messageId) || null : null;
+    }
+
+    /**
+     * Save like/dislike feedback on an assistant message of the current chat
+     * @param {string} messageId - Message ID
+     * @param {string|null} rating - 'like', 'dislike', or null to clear
+     * @param {string|null} reason - Optional free-text reason (dislikes)
+     * @returns {boolean} - Whether the feedback was saved
+     */
+    setMessageFeedback(messageId, rating, reason = null) {
+        const feedback = rating ? {
+            rating,
+            reason: reason ? reason.trim() || null : null,
+            timestamp: new Date().toISOString()
+        } : null;
+
+        return !!this.currentChatId &&
+            this.storageManager.updateMessage(this.currentChatId, messageId, { feedback });
+    }
+
+    /**
+     * Bookmark or un-bookmark a message
+     * Updates the bookmark button if the message is on screen and the sidebar's Saved list.
+     * @param {string} messageId - Message ID
+     * @param {boolean} bookmarked - New bookmark state
+     * @param {string} chatId - Chat the message belongs to (defaults to the current chat)
+     * @returns {boolean} - Whether the change was saved
+     */
+    setMessageBookmark(messageId, bookmarked, chatId = this.currentChatId) {
+        if (!chatId || !this.storageManager.setBookmark(chatId, messageId, bookmarked)) {
+            return false;
+        }
+
+        if (chatId === this.currentChatId) {
+            const messageElement = this.uiManager.getMessageElement(messageId);
+            if (messageElement) {
+                this.uiManager.setActionState(messageElement, 'bookmark', bookmarked);
+            }
+        }
+
+        if (window.sidebarManager) {
+            window.sidebarManager.renderBookmarks();
+        }
+        return true;
+    }
+
+    /**
+     * Make a stored message visible in its chat, switching to the branch that holds it
+     * Call before loading the chat.
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @returns {boolean} - Whether the message is on the chat's active path
+     */
+    revealMessage(chatId, messageId) {
+        const chat = this.storageManager.getChat(chatId);
+        const onPath = chat && chat.messages.some(m => m.id === messageId);
+        if (onPath) return true;
+
+        if (!this.storageManager.revealMessage(chatId, messageId)) {
+            return false;
+        }
+
+        // The active path changed, so resume the flow state it ends in
+        const updatedChat = this.storageManager.getChat(chatId);
+        this.setConversationState(this.getStateBefore(updatedChat.messages, updatedChat.messages.length), chatId);
+        return true;
+    }
+
+    /**
+     * Scroll to and briefly highlight a message of the loaded chat
+     * @param {string} messageId - Message ID
+     * @returns {boolean} - Whether the message is rendered
+     */
+    focusMessage(messageId) {
+        return !!this.uiManager.highlightMessage(messageId);
+    }
+
+    /**
+     * Edit an earlier user message and re-run matching from there
+     * The old message and everything after it stay available as a sibling branch.
+     * @param {string} messageId - User message to edit
+     * @param {string} newContent - Edited text
+     * @returns {Promise<boolean>} - Whether the edit was applied
+     */
+    async editUserMessage(messageId, newContent) {
+        const content = newContent.trim();
+        const chatId = this.currentChatId;
+        const chat = chatId ? this.storageManager.getChat(chatId) : null;
+        const index = chat ? chat.messages.findIndex(m => m.id === messageId && m.type === 'user') : -1;
+        if (!content || index === -1) {
+            return false;
+        }
+
+        if (!this.storageManager.forkChat(chatId, messageId, [{ type: 'user', content }])) {
+            console.error('Failed to edit message:', messageId);
+            return false;
+        }
+
+        // Resume the flow from where it was before the edited message
+        this.setConversationState(this.getStateBefore(chat.messages, index), chatId);
+        this.loadChat(chatId);
+
+        if (window.sidebarManager) {
+            window.sidebarManager.updateChatInSidebar(chatId);
+        }
+
+        await this.generateResponse(content, chatId);
+        return true;
+    }
+
+    /**
+     * Generate a new version of an assistant message in place
+     * The message and everything after it are kept as a sibling branch, so
+     * earlier versions stay browsable; no user turn is added.
+     * @param {string} messageId - Assistant message to regenerate
+     * @returns {Promise<boolean>} - Whether a new version was generated
+     */
+    async regenerateResponse(messageId) {
+        const chatId = this.currentChatId;
+        const chat = chatId ? this.storageManager.getChat(chatId) : null;
+        const index = chat ? chat.messages.findIndex(m => m.id === messageId && m.type === 'assistant') : -1;
+        if (index === -1) {
+            return false;
+        }
+
+        // The prompt this message answered
+        let userIndex = index - 1;
+        while (userIndex >= 0 && chat.messages[userIndex].type !== 'user') {
+            userIndex--;
+        }
+        if (userIndex === -1) {
+            return false;
+        }
+
+        // Re-run matching from the flow state the prompt was answered in
+        this.setConversationState(this.getStateBefore(chat.messages, userIndex), chatId);
+        this.uiManager.removeMessagesFrom(messageId);
+
+        await this.generateResponse(chat.messages[userIndex].content, chatId, {
+            replaceMessageId: messageId,
+            previousVariant: chat.messages[index].variant
+        });
+        return true;
+    }
+
+    /**
+     * Show the previous or next sibling branch of a message
+     * @param {string} messageId - Message that starts a branch
+     * @param {number} step - -1 for the previous branch, 1 for the next
+     */
+    switchBranch(messageId, step) {
+        const chatId = this.currentChatId;
+        const chat = chatId ? this.storageManager.getChat(chatId) : null;
+        const message = chat ? chat.messages.find(m => m.id === messageId) : null;
+        const branch = message ? this.storageManager.getBranchInfo(chat, message) : null;
+        if (!branch || this.uiManager.isBusy()) return;
+
+        const target = branch.index + step;
+        if (target < 0 || target >= branch.count) return;
+
+        if (!this.storageManager.switchBranch(chatId, branch.groupId, target)) {
+            console.error('Failed to switch branch:', branch.groupId);
+            return;
+        }
+
+        const updatedChat = this.storageManager.getChat(chatId);
+        this.setConversationState(this.getStateBefore(updatedChat.messages, updatedChat.messages.length), chatId);
+        this.loadChat(chatId);
+
+        const branchStart = updatedChat.messages.find(m => m.branchGroup === branch.groupId);
+        if (branchStart) {
+            this.uiManager.scrollToMessage(branchStart.id);
+        }
+        this.uiManager.announceToScreenReader(`Showing version ${target + 1} of ${branch.count}`);
+    }
+
+    /**
+     * Get the conversation flow state in effect before a position in a chat
+     * Assistant messages record the state their rule left the chat in;
+     * messages saved before that was recorded count as no state.
+     * @param {Array} messages - Messages of the active path
+     * @param {number} index - Position in the path
+     * @returns {string|null} - Flow state
+     */
+    getStateBefore(messages, index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (messages[i].type === 'assistant') {
+                return messages[i].state || null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build the variables available to {{placeholders}} in rule responses
+     * @returns {Object} - Template context
+     */
+    buildTemplateContext() {
+        const now = new Date();
+        const settings = this.storageManager.getSettings();
+        const chat = this.currentChatId ? this.storageManager.getChat(this.currentChatId) : null;
+
+        return {
+            user: {
+                name: settings.userName
+            },
+            chat: {
+                id: this.currentChatId,
+                title: chat ? chat.title : 'New Chat'
+            },
+            date: now.toLocaleDateString(),
+            time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+            model: this.getCurrentModel(),
+            state: this.conversationState
+        };
+    }
+
     /**
      * Handle the response from message matcher
+     * Text responses are streamed token by token when streaming is enabled;
+     * the stored message always holds exactly the text that was revealed.
      * @param {Object} response - Response object with type and value
      * @param {string} originalMessage - Original user message for context
+     * @param {string} chatId - Chat the response belongs to
+     * @param {string|null} replaceMessageId - Assistant message this response is a new version of
      */
-    async handleResponse(response, originalMessage) {
+    async handleResponse(response, originalMessage, chatId = this.currentChatId, replaceMessageId = null) {
         const isImageMode = this.uiManager.isInImageMode();
         
         // Determine if we should show image or text based on mode and response type
@@ -118,9 +388,18 @@ class ChatManager {
             shouldShowImage = true;
         }
 
-        // Prepare options for UI message
+        // Advance the conversation flow if the matched rule sets a state
+        if (Object.prototype.hasOwnProperty.call(response, 'nextState')) {
+            this.setConversationState(response.nextState, chatId);
+        }
+
+        // Prepare options for UI message (an image shown instead of text drops the text's extras)
+        const model = this.getCurrentModel();
+        const details = shouldShowImage ? {} : this.messageMatcher.getResponseDetails(finalResponse);
         const messageOptions = {
-            isImage: shouldShowImage
+            isImage: shouldShowImage,
+            details,
+            model
         };
 
         // Add follow-up suggestions if available
@@ -128,43 +407,271 @@ class ChatManager {
             messageOptions.followup = finalResponse.followup;
         }
 
-        // Add response to chat
-        this.uiManager.addMessage(finalResponse.value, 'assistant', messageOptions);
+        const streaming = this.storageManager.getSettings().streaming;
+        const metadataOverrides = response.metadata || {};
+        let content = finalResponse.value;
+        let responseType = shouldShowImage ? 'image' : (finalResponse.type || 'text');
+        let metadata = this.buildMetadata(content, metadataOverrides);
+        let stopped = false;
+        let messageElement = null;
+
+        // Only render if the user is still looking at this chat
+        if (chatId === this.currentChatId) {
+            if (!shouldShowImage && streaming.enabled) {
+                messageElement = this.uiManager.addMessage('', 'assistant', { ...messageOptions, streaming: true });
+                const result = await this.uiManager.streamMessage(messageElement, content, {
+                    ...streaming,
+                    tokensPerSecond: metadata.tokensPerSecond
+                });
+                content = result.text;
+                stopped = result.stopped;
+
+                // A stopped response only cost what was generated before stopping
+                if (stopped) {
+                    metadata = this.buildMetadata(content, { tokensPerSecond: metadata.tokensPerSecond });
+                }
+
+                // A stopped composite response keeps only the Markdown revealed so far
+                if (stopped && details.parts) {
+                    delete details.parts;
+                    responseType = 'text';
+                }
+
+                this.uiManager.finishStreamingMessage(messageElement, content, { ...messageOptions, metadata, stopped });
+            } else {
+                messageElement = this.uiManager.addMessage(content, 'assistant', { ...messageOptions, metadata });
+            }
+        }
 
         // Create assistant message object
         const assistantMessageObj = {
             type: 'assistant',
-            content: finalResponse.value,
-            responseType: shouldShowImage ? 'image' : 'text',
-            followup: finalResponse.followup || []
+            content: content,
+            responseType,
+            ...details,
+            followup: stopped ? [] : (finalResponse.followup || []),
+            metadata,
+            model: model.id,
+            state: chatId ? this.storageManager.getChatState(chatId) : this.conversationState
         };
 
-        // Add to storage
-        if (this.currentChatId) {
-            this.storageManager.addMessageToChat(this.currentChatId, assistantMessageObj);
+        if (stopped) {
+            assistantMessageObj.stopped = true;
+        }
+
+        if (Number.isInteger(finalResponse.variant)) {
+            assistantMessageObj.variant = finalResponse.variant;
+        }
+
+        if (response.rule) {
+            assistantMessageObj.rule = response.rule;
+        }
+
+        // Add to storage, as a new version of the regenerated message if any
+        if (chatId) {
+            let assistantMessageId = null;
+            if (replaceMessageId) {
+                const stored = this.storageManager.forkChat(chatId, replaceMessageId, [assistantMessageObj]);
+                assistantMessageId = stored ? stored[0].id : null;
+            } else {
+                assistantMessageId = this.storageManager.addMessageToChat(chatId, assistantMessageObj);
+            }
+
+            if (messageElement && assistantMessageId) {
+                messageElement.dataset.messageId = assistantMessageId;
+                if (replaceMessageId) {
+                    const chat = this.storageManager.getChat(chatId);
+                    const stored = chat.messages.find(m => m.id === assistantMessageId);
+                    this.uiManager.setBranchNavigation(messageElement, this.storageManager.getBranchInfo(chat, stored));
+                }
+            }
             
             // Update sidebar if available
             if (window.sidebarManager) {
-                window.sidebarManager.updateChatInSidebar(this.currentChatId);
+                window.sidebarManager.updateChatInSidebar(chatId);
             }
         }
 
-        // Add to local message history
-        this.messageHistory.push({
-            type: 'assistant',
-            content: finalResponse.value,
-            responseType: shouldShowImage ? 'image' : 'text',
-            followup: finalResponse.followup || [],
-            timestamp: new Date()
-        });
+        if (chatId !== this.currentChatId) {
+            return;
+        }
+
+        // Add to local message history (a regenerated version replaces the tail)
+        if (replaceMessageId) {
+            const chat = this.storageManager.getChat(chatId);
+            this.messageHistory = chat ? chat.messages.map(msg => ({ ...msg, timestamp: new Date(msg.timestamp) })) : [];
+        } else {
+            this.messageHistory.push({
+                ...assistantMessageObj,
+                timestamp: new Date()
+            });
+        }
 
         // Announce response to screen readers
         const announcement = shouldShowImage ?
             'Assistant sent an image response' :
-            `Assistant: ${finalResponse.value}`;
+            `Assistant: ${content}`;
         this.uiManager.announceToScreenReader(announcement);
     }
 
+    /**
+     * Compute response metadata from the response text
+     * Token count comes from the configured characters-per-token estimate,
+     * speed from the model's latency profile; rules may override any field
+     * and the remaining fields are derived from the overrides.
+     * @param {string} content - Response content
+     * @param {Object} overrides - Fixed values from the matched rule
+     * @param {string} modelId - Model that produced the response (defaults to the current model)
+     * @returns {Object} - { responseTime, tokensPerSecond, tokens, cost }
+     */
+    buildMetadata(content, overrides = {}, modelId = this.currentModelId) {
+        const settings = this.storageManager.getSettings();
+        const latency = this.getLatencyProfile(modelId);
+        const pick = (key, fallback) => (typeof overrides[key] === 'number' ? overrides[key] : fallback);
+
+        const tokens = Math.round(pick('tokens', Math.max(1, Math.ceil((content || '').length / settings.metadata.charsPerToken))));
+        const tokensPerSecond = pick('tokensPerSecond', latency.tokensPerSecond);
+        const responseTime = pick('responseTime', latency.firstTokenDelay / 1000 + tokens / Math.max(tokensPerSecond, 0.01));
+        const cost = pick('cost', tokens * settings.metadata.pricePerToken);
+
+        return { responseTime, tokensPerSecond, tokens, cost };
+    }
+
+    /**
+     * Get the latency profile of a model, falling back to the streaming settings
+     * @param {string} modelId - Model ID (defaults to the current model)
+     * @returns {Object} - { tokensPerSecond, firstTokenDelay }
+     */
+    getLatencyProfile(modelId = this.currentModelId) {
+        const streaming = this.storageManager.getSettings().streaming;
+        const latency = this.modelRegistry.getModel(modelId).latency || {};
+
+        return {
+            tokensPerSecond: latency.tokensPerSecond || streaming.tokensPerSecond,
+            firstTokenDelay: typeof latency.firstTokenDelay === 'number' ? latency.firstTokenDelay : streaming.firstTokenDelay
+        };
+    }
+
+    /**
+     * Get the model the current chat is using
+     * @returns {Object} - Model object
+     */
+    getCurrentModel() {
+        return this.modelRegistry.getModel(this.currentModelId);
+    }
+
+    /**
+     * Switch the current chat to another model
+     * The choice is saved with the chat and becomes the default for new chats.
+     * @param {string} modelId - Model ID
+     */
+    setModel(modelId) {
+        if (!this.modelRegistry.hasModel(modelId)) {
+            console.warn('Unknown model:', modelId);
+            return;
+        }
+
+        this.applyModel(modelId);
+        this.storageManager.updateSettings({ selectedModel: modelId });
+
+        if (this.currentChatId) {
+            this.storageManager.updateChat(this.currentChatId, { model: modelId });
+        }
+
+        this.uiManager.announceToScreenReader(`Switched to ${this.getCurrentModel().name}`);
+    }
+
+    /**
+     * Make a model current in memory and in the header
+     * @param {string|null} modelId - Model ID (unknown IDs fall back to the default model)
+     */
+    applyModel(modelId) {
+        const model = this.modelRegistry.getModel(modelId);
+        this.currentModelId = model.id;
+        this.uiManager.setCurrentModel(model);
+    }
+
+    /**
+     * Populate the rule set switcher from the loaded rule sets
+     */
+    renderRuleSetPicker() {
+        this.uiManager.renderRuleSetPicker(this.messageMatcher.getRuleSetNames(), (name) => {
+            this.setRuleSet(name);
+        });
+    }
+
+    /**
+     * Switch to another rule set
+     * The choice becomes the default for new chats. A chat that already has
+     * messages keeps the rule set it was started with, so a new chat is opened.
+     * @param {string} name - Rule set name
+     */
+    setRuleSet(name) {
+        if (!this.messageMatcher.getRuleSet(name)) {
+            console.warn('Unknown rule set:', name);
+            return;
+        }
+
+        this.storageManager.updateSettings({ selectedRuleSet: name });
+
+        const chat = this.currentChatId ? this.storageManager.getChat(this.currentChatId) : null;
+        if (chat && chat.messages.length > 0) {
+            if (window.sidebarManager) {
+                window.sidebarManager.createNewChat();
+            } else {
+                this.startNewChat();
+            }
+        } else {
+            this.applyRuleSet(name);
+            if (chat) {
+                this.storageManager.updateChat(this.currentChatId, { ruleSet: name });
+            }
+        }
+
+        this.uiManager.announceToScreenReader(`Switched to rule set ${this.messageMatcher.getActiveRuleSet()}`);
+    }
+
+    /**
+     * Make a rule set active for matching and in the switcher
+     * @param {string|null} name - Rule set name (unknown names fall back to the default set)
+     */
+    applyRuleSet(name) {
+        if (!name || !this.messageMatcher.useRuleSet(name)) {
+            if (name) {
+                console.warn(`Rule set "${name}" is no longer available, using "${this.messageMatcher.defaultRuleSet}"`);
+            }
+            this.messageMatcher.useRuleSet(this.messageMatcher.defaultRuleSet);
+        }
+        this.uiManager.setCurrentRuleSet(this.messageMatcher.getActiveRuleSet());
+    }
+
+    /**
+     * Refresh the switcher after rules changed in another tab
+     */
+    handleRulesUpdated() {
+        const chat = this.currentChatId ? this.storageManager.getChat(this.currentChatId) : null;
+        this.renderRuleSetPicker();
+        this.applyRuleSet((chat && chat.ruleSet) || this.storageManager.getSettings().selectedRuleSet);
+        this.showSystemMessage('Chat rules updated from admin panel.');
+    }
+
+    /**
+     * Set the conversation flow state of a chat
+     * @param {string|null} state - New state, or null to end the flow
+     * @param {string} chatId - Chat to update (defaults to the current chat)
+     */
+    setConversationState(state, chatId = this.currentChatId) {
+        if (chatId === this.currentChatId) {
+            this.conversationState = state || null;
+        }
+
+        if (chatId) {
+            this.storageManager.setChatState(chatId, state || null);
+        }
+
+        console.log('Conversation state:', state || null);
+    }
+
     /**
      * Try to find an image alternative for text responses when in image mode
      * @param {string} userMessage - Original user message
@@ -178,7 +685,7 @@ class ChatManager {
             if (rule.type === 'image' && this.messageMatcher.matchesRule(userMessage, rule)) {
                 return {
                     type: 'image',
-                    value: rule.value
+                    value: this.messageMatcher.getValues(rule)[this.messageMatcher.pickVariant(rule)]
                 };
             }
         }
@@ -192,7 +699,7 @@ class ChatManager {
         if (genericImageRules.length > 0) {
             return {
                 type: 'image',
-                value: genericImageRules[0].value
+                value: this.messageMatcher.getValues(genericImageRules[0])[0]
             };
         }
 
@@ -219,11 +726,13 @@ class ChatManager {
      * Clear chat history
      */
     clearChat() {
+        this.uiManager.stopStreaming();
+
         const chatMessages = document.getElementById('chatMessages');
         if (chatMessages) {
             // Keep only the welcome message
             const welcomeMessage = chatMessages.querySelector('.message--system');
-            chatMessages.innerHTML = '';
+            chatMessages.replaceChildren();
             if (welcomeMessage) {
                 chatMessages.appendChild(welcomeMessage);
             }
@@ -272,7 +781,13 @@ class ChatManager {
                 return true;
                 
             case '/help':
-                this.showSystemMessage('Available commands: /clear (clear chat), /history (show history), /rules (show matching rules)');
+                this.showSystemMessage('Available commands: /clear (clear chat), /history (show history), /rules (show matching rules), /ruleset (show active rule set), /state (show conversation flow state)');
+                return true;
+                
+            case '/state':
+                this.showSystemMessage(this.conversationState ?
+                    `Conversation state: ${this.conversationState}` :
+                    'No conversation flow is active.');
                 return true;
                 
             case '/history':
@@ -286,6 +801,10 @@ class ChatManager {
                 const rulesCount = this.messageMatcher.getAllRules().length;
                 this.showSystemMessage(`Loaded ${rulesCount} matching rules.`);
                 return true;
+
+            case '/ruleset':
+                this.showSystemMessage(`Rule set: ${this.messageMatcher.getActiveRuleSet()} (available: ${this.messageMatcher.getRuleSetNames().join(', ')})`);
+                return true;
                 
             default:
                 return false;
@@ -303,21 +822,37 @@ class ChatManager {
             return false;
         }
 
-        // Set current chat
+        // Finish any response still streaming into the previous chat
+        this.uiManager.stopStreaming();
+
+        // Set current chat and resume its conversation flow and model
         this.currentChatId = chatId;
+        this.conversationState = chat.state || null;
+        this.applyModel(chat.model || this.storageManager.getSettings().selectedModel);
+        this.applyRuleSet(chat.ruleSet || this.storageManager.getSettings().selectedRuleSet);
         
         // Clear current UI
         this.clearChatUI();
         
         // Load messages into UI
         chat.messages.forEach(message => {
+            const branch = this.storageManager.getBranchInfo(chat, message);
             if (message.type === 'user') {
-                this.uiManager.addMessage(message.content, 'user');
+                this.uiManager.addMessage(message.content, 'user', { messageId: message.id, branch });
             } else if (message.type === 'assistant') {
                 const isImage = message.responseType === 'image';
                 const options = {
+                    messageId: message.id,
+                    branch,
+                    feedback: message.feedback || null,
+                    bookmarked: !!message.bookmarked,
                     isImage,
-                    followup: message.followup || []
+                    details: this.messageMatcher.getResponseDetails(message),
+                    followup: message.followup || [],
+                    stopped: !!message.stopped,
+                    model: this.modelRegistry.getModel(message.model || this.currentModelId),
+                    // Older messages were saved without metadata; derive it the same way
+                    metadata: message.metadata || this.buildMetadata(message.content, {}, message.model)
                 };
                 this.uiManager.addMessage(message.content, 'assistant', options);
             }
@@ -341,7 +876,7 @@ class ChatManager {
         if (chatMessages) {
             // Keep only the welcome message
             const welcomeMessage = chatMessages.querySelector('.message--system');
-            chatMessages.innerHTML = '';
+            chatMessages.replaceChildren();
             if (welcomeMessage) {
                 chatMessages.appendChild(welcomeMessage);
             }
@@ -353,6 +888,8 @@ class ChatManager {
      * @param {string} chatId - Optional chat ID to use
      */
     startNewChat(chatId = null) {
+        this.uiManager.stopStreaming();
+
         if (chatId) {
             this.currentChatId = chatId;
         } else {
@@ -361,6 +898,9 @@ class ChatManager {
         
         this.clearChatUI();
         this.messageHistory = [];
+        this.conversationState = null;
+        this.applyModel(this.storageManager.getSettings().selectedModel);
+        this.applyRuleSet(this.storageManager.getSettings().selectedRuleSet);
         this.uiManager.focusInput();
         
         console.log('Started new chat:', this.currentChatId);
@@ -378,8 +918,9 @@ class ChatManager {
     /**
      * Process user input (including special commands)
      * @param {string} userInput - Raw user input
+     * @param {HTMLElement|null} userElement - Rendered user message
      */
-    processUserInput(userInput) {
+    processUserInput(userInput, userElement = null) {
         const trimmedInput = userInput.trim();
         
         // Check for special commands
@@ -390,7 +931,7 @@ class ChatManager {
         }
         
         // Process as regular message
-        this.processUserMessage(trimmedInput);
+        this.processUserMessage(trimmedInput, userElement);
     }
 }
 
@@ -0,0 +1,700 @@
+/**
+ * Export Module
+ * Handles exporting chats as Markdown, Open WebUI JSON and standalone HTML
+ */
+
+class ExportManager {
+    constructor() {
+        this.sanitizer = new HtmlSanitizer();
+        this.storageManager = null;
+        this.chatManager = null;
+        this.sidebarManager = null;
+        this.modelRegistry = null;
+
+        this.formats = {
+            markdown: { label: 'Markdown (.md)', extension: 'md', type: 'text/markdown' },
+            json: { label: 'Open WebUI JSON (.json)', extension: 'json', type: 'application/json' },
+            html: { label: 'HTML page (.html)', extension: 'html', type: 'text/html' },
+            print: { label: 'Print / Save as PDF', extension: null, type: null }
+        };
+    }
+
+    /**
+     * Initialize export controls
+     * @param {StorageManager} storageManager - Storage manager instance
+     * @param {ChatManager} chatManager - Chat manager instance
+     * @param {SidebarManager} sidebarManager - Sidebar manager instance
+     * @param {ModelRegistry} modelRegistry - Model registry instance
+     */
+    init(storageManager, chatManager, sidebarManager, modelRegistry) {
+        this.storageManager = storageManager;
+        this.chatManager = chatManager;
+        this.sidebarManager = sidebarManager;
+        this.modelRegistry = modelRegistry;
+
+        // Current chat export menu in the header
+        this.bindExportSelect(document.getElementById('exportSelect'), () => {
+            return this.chatManager.currentChatId ? [this.chatManager.currentChatId] : [];
+        });
+
+        // Bulk export of the chats listed in the sidebar
+        this.bindExportSelect(document.getElementById('bulkExportSelect'), () => {
+            return this.sidebarManager.getListedChatIds();
+        });
+
+        console.log('Export manager initialized successfully');
+        return true;
+    }
+
+    /**
+     * Fill an export select with the formats and export on change
+     * @param {HTMLSelectElement|null} select - Select element
+     * @param {Function} getChatIds - Returns the chat IDs to export
+     */
+    bindExportSelect(select, getChatIds) {
+        if (!select) return;
+
+        Object.entries(this.formats).forEach(([value, format]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = format.label;
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', async () => {
+            const format = select.value;
+            select.value = '';
+            if (format) {
+                await this.exportChats(getChatIds(), format);
+            }
+        });
+    }
+
+    /**
+     * Export chats in one file
+     * @param {Array<string>} chatIds - Chat IDs to export
+     * @param {string} format - 'markdown', 'json', 'html' or 'print'
+     * @returns {Promise<boolean>} - Whether anything was exported
+     */
+    async exportChats(chatIds, format) {
+        const chats = chatIds
+            .map(chatId => this.storageManager.getChat(chatId))
+            .filter(chat => chat && chat.messages.length > 0);
+
+        if (chats.length === 0) {
+            this.showToast('Nothing to export yet');
+            return false;
+        }
+
+        try {
+            if (format === 'print') {
+                this.openPrintView(await this.toHTML(chats));
+                return true;
+            }
+
+            let content;
+            const report = { missingImages: 0 };
+            if (format === 'markdown') {
+                content = this.toMarkdown(chats);
+            } else if (format === 'json') {
+                content = JSON.stringify(this.toOpenWebUI(chats), null, 2);
+            } else if (format === 'html') {
+                content = await this.toHTML(chats, report);
+            } else {
+                throw new Error(`Unknown export format: ${format}`);
+            }
+
+            const { extension, type } = this.formats[format];
+            this.download(`${this.getFileName(chats)}.${extension}`, content, type);
+            const exported = chats.length === 1 ? 'Chat exported' : `${chats.length} chats exported`;
+            if (report.missingImages > 0) {
+                const images = report.missingImages === 1 ? '1 image' : `${report.missingImages} images`;
+                this.showToast(`${exported}, but ${images} could not be embedded and will load from the web`);
+            } else {
+                this.showToast(exported);
+            }
+            return true;
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showToast('Export failed');
+            return false;
+        }
+    }
+
+    /**
+     * Build a Markdown transcript
+     * @param {Array} chats - Chat objects
+     * @returns {string} - Markdown text
+     */
+    toMarkdown(chats) {
+        return chats.map(chat => {
+            const lines = [
+                `# ${chat.title}`,
+                '',
+                `*${this.describeChat(chat)}*`,
+                ''
+            ];
+
+            chat.messages.forEach(message => {
+                const speaker = message.type === 'user' ? 'You' : this.getAssistantName(message);
+                lines.push(`### ${speaker}`, `*${this.formatTimestamp(message.timestamp)}*`, '');
+                lines.push(...this.toMarkdownLead(message));
+                lines.push(message.responseType === 'image' ?
+                    `![Response image](${message.content})` :
+                    message.content);
+                lines.push('');
+                lines.push(...this.toMarkdownExtras(message));
+            });
+
+            return lines.join('\n');
+        }).join('\n---\n\n');
+    }
+
+    /**
+     * Markdown for what a response shows above its text: its reasoning and tool calls
+     * @param {Object} message - Stored message
+     * @returns {Array<string>} - Lines (empty for plain responses)
+     */
+    toMarkdownLead(message) {
+        const lines = [];
+        if (typeof message.thinking === 'string' && message.thinking) {
+            lines.push('**Thought process**', '', ...message.thinking.split('\n').map(line => `> ${line}`), '');
+        }
+
+        (Array.isArray(message.toolCalls) ? message.toolCalls : []).forEach(call => {
+            lines.push(`**Called \`${call.name}\`**`, '');
+            if (call.arguments !== undefined) lines.push('Arguments:', '', this.toCodeFence(this.formatToolValue(call.arguments)), '');
+            if (call.result !== undefined) lines.push('Result:', '', this.toCodeFence(this.formatToolValue(call.result)), '');
+        });
+        return lines;
+    }
+
+    /**
+     * Markdown for what a response shows below its text: its files and a numbered source list
+     * @param {Object} message - Stored message
+     * @returns {Array<string>} - Lines (empty for plain responses)
+     */
+    toMarkdownExtras(message) {
+        const lines = [];
+        (Array.isArray(message.files) ? message.files : []).forEach(file => {
+            const url = file.url ? this.sanitizer.sanitizeUrl(file.url) : null;
+            const name = url ? `[${this.escapeMarkdownLabel(file.name)}](${this.escapeMarkdownUrl(url)})` : file.name;
+            const details = this.describeFile(file);
+            lines.push(`**File: ${name}**${details ? ` (${details})` : ''}`, '');
+            if (typeof file.content === 'string') lines.push(this.toCodeFence(file.content), '');
+        });
+
+        const sources = Array.isArray(message.sources) ? message.sources : [];
+        if (sources.length > 0) {
+            lines.push('**Sources**', '');
+            sources.forEach((source, index) => {
+                const url = source.url ? this.sanitizer.sanitizeUrl(source.url) : null;
+                const title = url ? `[${this.escapeMarkdownLabel(source.title)}](${this.escapeMarkdownUrl(url)})` : source.title;
+                lines.push(`${index + 1}. ${title}${source.snippet ? ` - ${source.snippet}` : ''}`);
+            });
+            lines.push('');
+        }
+        return lines;
+    }
+
+    /**
+     * Wrap text in a Markdown code fence longer than any backtick run inside it
+     * @param {string} text - Code or file content
+     * @returns {string} - Fenced block
+     */
+    toCodeFence(text) {
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longest + 1));
+        return `${fence}\n${text}\n${fence}`;
+    }
+
+    /**
+     * Escape the brackets of a Markdown link label
+     * @param {string} text - Label
+     * @returns {string} - Escaped label
+     */
+    escapeMarkdownLabel(text) {
+        return String(text).replace(/[[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Encode the characters that would end a Markdown link target early
+     * @param {string} url - Link target
+     * @returns {string} - Encoded URL
+     */
+    escapeMarkdownUrl(url) {
+        return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+    }
+
+    /**
+     * Format a tool call's arguments or result
+     * @param {*} value - Text or JSON value
+     * @returns {string} - Text
+     */
+    formatToolValue(value) {
+        return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    }
+
+    /**
+     * Describe a response file's type and size
+     * @param {Object} file - { name, mimeType?, size?, content?, url? }
+     * @returns {string} - e.g. "text/csv · 1.2 KB", or '' when neither is known
+     */
+    describeFile(file) {
+        const size = typeof file.size === 'number' ? file.size :
+            (typeof file.content === 'string' ? new Blob([file.content]).size : null);
+        return [file.mimeType, size !== null ? this.storageManager.formatBytes(size) : null].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Build an Open WebUI chat export, including every conversation branch
+     * @param {Array} chats - Chat objects
+     * @returns {Array} - Chats in Open WebUI's export format
+     */
+    toOpenWebUI(chats) {
+        const seconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+        return chats.map(chat => {
+            const nodes = {};
+            const visitedGroups = [];
+
+            // Branches become siblings under the message they were forked from
+            const addSequence = (messages, parentId) => {
+                let previousId = parentId;
+                messages.forEach(message => {
+                    const group = message.branchGroup && chat.branches ? chat.branches[message.branchGroup] : null;
+                    if (group && !visitedGroups.includes(message.branchGroup)) {
+                        visitedGroups.push(message.branchGroup);
+                        group.variants.forEach(variant => {
+                            if (variant) addSequence(variant, previousId);
+                        });
+                    }
+
+                    if (message.type !== 'user' && message.type !== 'assistant') return;
+
+                    nodes[message.id] = this.toOpenWebUIMessage(message, previousId, chat);
+                    if (previousId && nodes[previousId]) {
+                        nodes[previousId].childrenIds.push(message.id);
+                    }
+                    previousId = message.id;
+                });
+            };
+
+            addSequence(chat.messages, null);
+
+            // The active path, as Open WebUI lists it next to the full history
+            const activePath = chat.messages.filter(message => nodes[message.id]).map(message => nodes[message.id]);
+            const currentId = activePath.length > 0 ? activePath[activePath.length - 1].id : null;
+            const models = [chat.model || (this.modelRegistry ? this.modelRegistry.getDefaultModel().id : 'mock')];
+
+            return {
+                id: chat.id,
+                user_id: 'mock-user',
+                title: chat.title,
+                chat: {
+                    id: chat.id,
+                    title: chat.title,
+                    models,
+                    params: {},
+                    history: { messages: nodes, currentId },
+                    messages: activePath,
+                    tags: [],
+                    timestamp: new Date(chat.created).getTime(),
+                    files: []
+                },
+                updated_at: seconds(chat.updated),
+                created_at: seconds(chat.created),
+                share_id: null,
+                archived: Boolean(chat.archived),
+                pinned: Boolean(chat.pinned),
+                meta: {},
+                folder_id: chat.folderId || null
+            };
+        });
+    }
+
+    /**
+     * Convert a stored message to an Open WebUI history message
+     * @param {Object} message - Stored message
+     * @param {string|null} parentId - Parent message ID
+     * @param {Object} chat - Chat the message belongs to
+     * @returns {Object} - Open WebUI message
+     */
+    toOpenWebUIMessage(message, parentId, chat) {
+        const node = {
+            id: message.id,
+            parentId,
+            childrenIds: [],
+            role: message.type,
+            content: message.content,
+            timestamp: Math.floor(new Date(message.timestamp).getTime() / 1000)
+        };
+
+        if (message.type === 'user') {
+            node.models = [chat.model || message.model || 'mock'];
+            return node;
+        }
+
+        const model = message.model || chat.model || 'mock';
+        node.model = model;
+        node.modelName = this.getModelName(model);
+        node.modelIdx = 0;
+        node.done = true;
+
+        if (message.responseType === 'image') {
+            node.content = '';
+            node.files = [{ type: 'image', url: message.content }];
+        }
+
+        if (message.feedback && message.feedback.rating) {
+            node.annotation = {
+                rating: message.feedback.rating === 'like' ? 1 : -1,
+                reason: message.feedback.reason || ''
+            };
+        }
+
+        return node;
+    }
+
+    /**
+     * Build a self-contained HTML page with images inlined and a print stylesheet
+     * @param {Array} chats - Chat objects
+     * @param {Object} report - Optional; missingImages is increased for each image left as a link
+     * @returns {Promise<string>} - HTML document
+     */
+    async toHTML(chats, report = {}) {
+        const sections = [];
+
+        for (const chat of chats) {
+            const messages = [];
+            for (const message of chat.messages) {
+                if (message.type !== 'user' && message.type !== 'assistant') continue;
+
+                let content;
+                if (message.type === 'user') {
+                    content = `<div class="text">${this.escapeHtml(message.content)}</div>`;
+                } else if (message.responseType === 'image') {
+                    const src = await this.embedImage(message.content, report);
+                    content = src ?
+                        `<img src="${this.escapeHtml(src)}" alt="Response image">` :
+                        `<div class="text">${this.escapeHtml(message.content)}</div>`;
+                } else {
+                    const citations = Array.isArray(message.sources) ? message.sources.length : 0;
+                    // Composite responses render their parts; content only holds a Markdown transcript of them
+                    content = Array.isArray(message.parts) && message.parts.length > 0 ?
+                        await this.toStaticHTML(this.chatManager.uiManager.generateParts(message.parts, citations), report) :
+                        await this.toHTMLMarkdown(message.content, citations, report);
+                }
+                const body = await this.toHTMLLead(message, report) + content + this.toHTMLExtras(message);
+
+                messages.push(`
+        <article class="message message--${message.type}">
+            <header><strong>${this.escapeHtml(message.type === 'user' ? 'You' : this.getAssistantName(message))}</strong>
+                <time datetime="${this.escapeHtml(message.timestamp)}">${this.escapeHtml(this.formatTimestamp(message.timestamp))}</time></header>
+            ${body}
+        </article>`);
+            }
+
+            sections.push(`
+    <section class="chat">
+        <h1>${this.escapeHtml(chat.title)}</h1>
+        <p class="meta">${this.escapeHtml(this.describeChat(chat))}</p>
+        ${messages.join('')}
+    </section>`);
+        }
+
+        const title = chats.length === 1 ? chats[0].title : `${chats.length} chats`;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data: https:; style-src 'unsafe-inline'">
+    <title>${this.escapeHtml(title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; background: #f5f5f5; margin: 0; padding: 2rem 1rem; line-height: 1.5; }
+        .chat { max-width: 800px; margin: 0 auto 3rem; }
+        h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+        .meta { color: #666; font-size: 0.875rem; margin: 0 0 1.5rem; }
+        .message { background: #fff; border: 1px solid #e0e0e0; border-radius: 8px; padding: 0.75rem 1rem; margin-bottom: 0.75rem; }
+        .message--user { background: #eaf2fb; border-color: #c9dcf2; }
+        .message header { display: flex; justify-content: space-between; gap: 1rem; font-size: 0.8125rem; color: #555; margin-bottom: 0.375rem; }
+        .text { white-space: pre-wrap; word-wrap: break-word; }
+        img { max-width: 100%; border-radius: 6px; }
+        code { font-family: SFMono-Regular, Consolas, 'Liberation Mono', monospace; font-size: 0.875em; }
+        blockquote { border-left: 3px solid #d0d0d0; color: #555; margin: 0.5rem 0; padding-left: 0.75rem; }
+        .markdown > :first-child { margin-top: 0; }
+        .markdown > :last-child { margin-bottom: 0; }
+        .markdown__table { border-collapse: collapse; margin: 0.5rem 0; font-size: 0.875rem; }
+        .markdown__table th, .markdown__table td { border: 1px solid #d0d0d0; padding: 0.25rem 0.5rem; text-align: left; }
+        .markdown__table .markdown__cell--center { text-align: center; }
+        .markdown__table .markdown__cell--right { text-align: right; }
+        .markdown__table-caption { caption-side: bottom; color: #666; font-size: 0.8125rem; padding-top: 0.25rem; }
+        .markdown__code-header { color: #777; font-size: 0.75rem; margin-top: 0.5rem; }
+        .markdown__math, .markdown__diagram-source { font-family: SFMono-Regular, Consolas, 'Liberation Mono', monospace; }
+        .markdown__citation { font-size: 0.75em; color: #555; }
+        .message__figure { margin: 0.5rem 0; }
+        .message__figure-caption { color: #666; font-size: 0.8125rem; margin-top: 0.25rem; }
+        .detail { border-left: 3px solid #d0d0d0; padding-left: 0.75rem; margin: 0.5rem 0; }
+        .detail-title { font-size: 0.8125rem; font-weight: 600; color: #555; margin: 0 0 0.25rem; }
+        .detail-meta { font-weight: normal; color: #777; }
+        pre { background: #f5f5f5; border-radius: 4px; padding: 0.5rem; margin: 0.25rem 0; overflow-x: auto; white-space: pre-wrap; word-wrap: break-word; }
+        .sources { margin: 0; padding-left: 1.5rem; font-size: 0.875rem; }
+        .sources p { color: #555; margin: 0; }
+        @media print {
+            @page { margin: 1.5cm; }
+            body { background: #fff; padding: 0; font-size: 11pt; }
+            .chat { max-width: none; margin: 0; }
+            .chat + .chat { page-break-before: always; }
+            .message { border-color: #ccc; page-break-inside: avoid; }
+            .message--user { background: #f2f2f2; }
+        }
+    </style>
+</head>
+<body>${sections.join('')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * HTML for what a response shows above its text: its reasoning and tool calls, written out in full
+     * @param {Object} message - Stored message
+     * @param {Object} report - Optional; missingImages is increased for each image left as a link
+     * @returns {Promise<string>} - HTML (empty for plain responses)
+     */
+    async toHTMLLead(message, report = {}) {
+        const thinking = typeof message.thinking === 'string' && message.thinking ? `
+            <div class="detail"><p class="detail-title">Thought process</p>${await this.toHTMLMarkdown(message.thinking, 0, report)}</div>` : '';
+
+        const toolCalls = (Array.isArray(message.toolCalls) ? message.toolCalls : []).map(call => `
+            <div class="detail"><p class="detail-title">Called <code>${this.escapeHtml(call.name)}</code></p>
+                ${call.arguments !== undefined ? `<p class="detail-title">Arguments</p><pre>${this.escapeHtml(this.formatToolValue(call.arguments))}</pre>` : ''}
+                ${call.result !== undefined ? `<p class="detail-title">Result</p><pre>${this.escapeHtml(this.formatToolValue(call.result))}</pre>` : ''}
+            </div>`).join('');
+        return thinking + toolCalls;
+    }
+
+    /**
+     * HTML for what a response shows below its text: its files and a numbered source list
+     * @param {Object} message - Stored message
+     * @returns {string} - HTML (empty for plain responses)
+     */
+    toHTMLExtras(message) {
+        const link = (url, label) => (url ?
+            `<a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(label)}</a>` :
+            this.escapeHtml(label));
+
+        const files = (Array.isArray(message.files) ? message.files : []).map(file => {
+            const details = this.describeFile(file);
+            return `
+            <div class="detail"><p class="detail-title">File: ${link(file.url ? this.sanitizer.sanitizeUrl(file.url) : null, file.name)}${details ? ` <span class="detail-meta">(${this.escapeHtml(details)})</span>` : ''}</p>
+                ${typeof file.content === 'string' ? `<pre>${this.escapeHtml(file.content)}</pre>` : ''}
+            </div>`;
+        }).join('');
+
+        const sources = Array.isArray(message.sources) ? message.sources : [];
+        const sourceList = sources.length > 0 ? `
+            <div class="detail"><p class="detail-title">Sources</p>
+                <ol class="sources">${sources.map(source => `
+                    <li>${link(source.url ? this.sanitizer.sanitizeUrl(source.url) : null, source.title)}${source.snippet ? `<p>${this.escapeHtml(source.snippet)}</p>` : ''}</li>`).join('')}
+                </ol>
+            </div>` : '';
+        return files + sourceList;
+    }
+
+    /**
+     * Render response Markdown the way the chat shows it, for a page without the app's script
+     * @param {string} content - Markdown
+     * @param {number} citations - Number of sources [1], [2]... markers may point at
+     * @param {Object} report - missingImages is increased for each image left as a link
+     * @returns {Promise<string>} - HTML
+     */
+    async toHTMLMarkdown(content, citations, report) {
+        return this.toStaticHTML(this.chatManager.uiManager.formatMessageContent(content, citations), report);
+    }
+
+    /**
+     * Clean rendered message HTML for a standalone page: controls that need the
+     * app's script are removed and images are embedded
+     * @param {string} html - HTML as the chat renders it
+     * @param {Object} report - missingImages is increased for each image left as a link
+     * @returns {Promise<string>} - HTML
+     */
+    async toStaticHTML(html, report) {
+        // An inert document, so images are not loaded while the page is built
+        const container = document.implementation.createHTMLDocument('').createElement('div');
+        this.sanitizer.setHtml(container, html);
+
+        container.querySelectorAll('.markdown__copy').forEach(button => button.remove());
+        container.querySelectorAll('.markdown__citation-link').forEach(button => button.replaceWith(button.textContent));
+
+        for (const image of container.querySelectorAll('img')) {
+            const src = await this.embedImage(image.getAttribute('src'), report);
+            if (src) image.setAttribute('src', src);
+            image.removeAttribute('loading'); // Lazy images may not be loaded when the page is printed
+        }
+        return container.innerHTML;
+    }
+
+    /**
+     * Get the source of an image in an exported page, embedded when it can be read
+     * @param {string} url - Image URL
+     * @param {Object} report - missingImages is increased if the image stays a link
+     * @returns {Promise<string|null>} - Data URL or original URL, or null if the URL is not allowed
+     */
+    async embedImage(url, report) {
+        const inlined = await this.inlineImage(url);
+        // Read by inlineImage from the image itself (SVG included, which cannot run script in <img>)
+        if (/^data:image\/[\w.+-]+;base64,/i.test(inlined || '')) return inlined;
+
+        report.missingImages = (report.missingImages || 0) + 1;
+        return this.sanitizer.sanitizeUrl(inlined, true);
+    }
+
+    /**
+     * Turn an image URL into a data URL so exported pages work offline
+     * @param {string} url - Image URL
+     * @returns {Promise<string>} - Data URL, or the original URL if it cannot be read
+     */
+    async inlineImage(url) {
+        if (!url || url.startsWith('data:')) return url;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const blob = await response.blob();
+
+            return await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        } catch (error) {
+            console.warn('Could not inline image, keeping its URL:', url, error);
+            return url;
+        }
+    }
+
+    /**
+     * Open an HTML export in a new window and show the print dialog
+     * @param {string} html - HTML document
+     */
+    openPrintView(html) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.showToast('Allow pop-ups to print this chat');
+            return;
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.addEventListener('load', () => printWindow.print());
+    }
+
+    /**
+     * Download text as a file
+     * @param {string} fileName - File name
+     * @param {string} content - File content
+     * @param {string} type - MIME type
+     */
+    download(fileName, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Build a file name (without extension) for exported chats
+     * @param {Array} chats - Exported chats
+     * @returns {string} - File name
+     */
+    getFileName(chats) {
+        const date = new Date().toISOString().slice(0, 10);
+        if (chats.length > 1) {
+            return `chats-export-${date}`;
+        }
+
+        const slug = chats[0].title
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 50);
+        return `${slug || 'chat'}-${date}`;
+    }
+
+    /**
+     * Summarize when and with which model and rule set a chat was held
+     * @param {Object} chat - Chat object
+     * @returns {string} - Summary line
+     */
+    describeChat(chat) {
+        const parts = [`Started ${this.formatTimestamp(chat.created)}`];
+        if (chat.model) parts.push(`Model: ${this.getModelName(chat.model)}`);
+        if (chat.ruleSet) parts.push(`Rule set: ${chat.ruleSet}`);
+        parts.push(`${chat.messages.length} messages`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Get the display name for an assistant message
+     * @param {Object} message - Assistant message
+     * @returns {string} - "Assistant" with the model name when known
+     */
+    getAssistantName(message) {
+        return message.model ? `Assistant (${this.getModelName(message.model)})` : 'Assistant';
+    }
+
+    /**
+     * Look up a model's display name
+     * @param {string} modelId - Model ID
+     * @returns {string} - Model name, or the ID if the model is unknown
+     */
+    getModelName(modelId) {
+        if (this.modelRegistry && this.modelRegistry.hasModel(modelId)) {
+            return this.modelRegistry.getModel(modelId).name;
+        }
+        return modelId;
+    }
+
+    /**
+     * Format a timestamp for transcripts
+     * @param {string} dateString - ISO date string
+     * @returns {string} - Formatted date and time
+     */
+    formatTimestamp(dateString) {
+        return new Date(dateString).toLocaleString([], {
+            year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    /**
+     * Show a toast through the UI manager
+     * @param {string} message - Toast message
+     */
+    showToast(message) {
+        if (this.chatManager && this.chatManager.uiManager) {
+            this.chatManager.uiManager.showToast(message);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        return this.sanitizer.escapeHtml(text);
+    }
+}
+
+// Create global instance
+window.ExportManager = ExportManager;
@@ -0,0 +1,558 @@
+/**
+ * Import Module
+ * Reads chat backups, Open WebUI exports and ChatGPT conversations.json
+ * into this app's chat format, with fresh IDs so imports never collide
+ */
+
+class ChatImporter {
+    constructor() {
+        this.storageManager = null;
+
+        this.formatNames = {
+            backup: 'Chat Assistant backup',
+            openwebui: 'Open WebUI export',
+            chatgpt: 'ChatGPT conversations.json'
+        };
+    }
+
+    /**
+     * Initialize the importer
+     * @param {StorageManager} storageManager - Storage manager used for IDs and saving
+     */
+    init(storageManager) {
+        this.storageManager = storageManager;
+        return true;
+    }
+
+    /**
+     * Parse an export file into chats ready to import
+     * @param {string|Object} input - File text or parsed JSON
+     * @returns {Object} - { format, formatName, chats, folders, bookmarks, warnings }
+     * @throws {Error} - If the file is not JSON or not a supported format
+     */
+    parse(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw new Error('The file is not valid JSON');
+            }
+        }
+
+        const format = this.detectFormat(data);
+        if (!format) {
+            throw new Error('Unrecognized file. Expected a Chat Assistant backup, an Open WebUI chat export or a ChatGPT conversations.json');
+        }
+
+        const result = { format, formatName: this.formatNames[format], chats: [], folders: [], bookmarks: [], warnings: [] };
+
+        if (format === 'backup') {
+            // Backups from older versions are upgraded like stored chats
+            this.parseBackup(new SchemaMigrator().migrate('chats', data), result);
+        } else {
+            const items = Array.isArray(data) ? data : [data];
+            items.forEach((item, index) => {
+                try {
+                    const chat = format === 'openwebui' ? this.parseOpenWebUIChat(item) : this.parseChatGPTConversation(item);
+                    if (chat.messages.length === 0) {
+                        result.warnings.push(`Skipped "${chat.title}": it has no user or assistant messages`);
+                    } else {
+                        result.chats.push(chat);
+                    }
+                } catch (error) {
+                    result.warnings.push(`Skipped conversation ${index + 1}: ${error.message}`);
+                }
+            });
+        }
+
+        if (result.chats.length === 0) {
+            throw new Error('The file does not contain any chats that can be imported');
+        }
+
+        this.checkCollisions(result);
+        return result;
+    }
+
+    /**
+     * Detect which export format a parsed file uses
+     * @param {*} data - Parsed JSON
+     * @returns {string|null} - 'backup', 'openwebui', 'chatgpt' or null
+     */
+    detectFormat(data) {
+        if (data && !Array.isArray(data) && Array.isArray(data.chats)) {
+            return 'backup';
+        }
+
+        const first = Array.isArray(data) ? data[0] : data;
+        if (!first || typeof first !== 'object') return null;
+
+        if (first.mapping && typeof first.mapping === 'object') {
+            return 'chatgpt';
+        }
+
+        const chat = first.chat || first;
+        if ((chat.history && chat.history.messages) || Array.isArray(chat.messages)) {
+            return 'openwebui';
+        }
+
+        return null;
+    }
+
+    /**
+     * Read a backup made by StorageManager.exportData, remapping every ID
+     * @param {Object} data - Parsed backup
+     * @param {Object} result - Parse result to fill in
+     */
+    parseBackup(data, result) {
+        const chatIds = new Map();
+        const messageIds = new Map();
+        const folderIds = new Map();
+
+        (Array.isArray(data.folders) ? data.folders : []).forEach(folder => {
+            if (!folder || typeof folder.id !== 'string' || typeof folder.name !== 'string') {
+                result.warnings.push('Skipped a folder without an ID or name');
+                return;
+            }
+            const id = this.storageManager.generateFolderId();
+            folderIds.set(folder.id, id);
+            result.folders.push({ id, name: folder.name, collapsed: Boolean(folder.collapsed), created: this.toISODate(folder.created) });
+        });
+
+        data.chats.forEach((chat, index) => {
+            const errors = this.validateBackupChat(chat);
+            if (errors.length > 0) {
+                result.warnings.push(`Skipped chat ${index + 1}${chat && chat.title ? ` ("${chat.title}")` : ''}: ${errors.join(', ')}`);
+                return;
+            }
+
+            const branchIds = new Map();
+            const remapMessage = (message) => {
+                const id = this.storageManager.generateMessageId();
+                if (message.id) messageIds.set(message.id, id);
+                const copy = { ...message, id, timestamp: this.toISODate(message.timestamp) };
+                if (message.branchGroup) {
+                    if (!branchIds.has(message.branchGroup)) {
+                        branchIds.set(message.branchGroup, this.storageManager.generateBranchId());
+                    }
+                    copy.branchGroup = branchIds.get(message.branchGroup);
+                }
+                return copy;
+            };
+
+            const id = this.storageManager.generateChatId();
+            chatIds.set(chat.id, id);
+
+            const imported = {
+                ...chat,
+                id,
+                title: chat.title || 'Imported chat',
+                messages: chat.messages.map(remapMessage),
+                folderId: folderIds.get(chat.folderId) || null,
+                created: this.toISODate(chat.created),
+                updated: this.toISODate(chat.updated || chat.created),
+                messageCount: chat.messages.length
+            };
+            delete imported.branches;
+
+            if (chat.branches) {
+                imported.branches = {};
+                Object.entries(chat.branches).forEach(([groupId, group]) => {
+                    if (!branchIds.has(groupId)) {
+                        branchIds.set(groupId, this.storageManager.generateBranchId());
+                    }
+                    imported.branches[branchIds.get(groupId)] = {
+                        active: group.active,
+                        variants: group.variants.map(variant => variant ? variant.map(remapMessage) : null)
+                    };
+                });
+            }
+
+            result.chats.push(imported);
+        });
+
+        (Array.isArray(data.bookmarks) ? data.bookmarks : []).forEach(bookmark => {
+            if (bookmark && chatIds.has(bookmark.chatId) && messageIds.has(bookmark.messageId)) {
+                result.bookmarks.push({
+                    chatId: chatIds.get(bookmark.chatId),
+                    messageId: messageIds.get(bookmark.messageId),
+                    created: this.toISODate(bookmark.created)
+                });
+            }
+        });
+    }
+
+    /**
+     * Check a backup chat against the storage schema
+     * @param {Object} chat - Chat from a backup
+     * @returns {Array<string>} - Problems found (empty if the chat is valid)
+     */
+    validateBackupChat(chat) {
+        const errors = [];
+        if (!chat || typeof chat !== 'object') {
+            return ['not an object'];
+        }
+
+        if (typeof chat.id !== 'string' || !chat.id) errors.push('missing id');
+        if (chat.title !== undefined && typeof chat.title !== 'string') errors.push('title must be text');
+        if (!Array.isArray(chat.messages)) {
+            errors.push('messages must be a list');
+            return errors;
+        }
+        if (chat.messages.length === 0) errors.push('no messages');
+
+        const checkMessages = (messages) => messages.every(message =>
+            message && typeof message === 'object' &&
+            ['user', 'assistant', 'system'].includes(message.type) &&
+            typeof message.content === 'string'
+        );
+
+        if (!checkMessages(chat.messages)) {
+            errors.push('every message needs a type of user, assistant or system and text content');
+        }
+
+        if (chat.branches !== undefined) {
+            const validBranches = chat.branches && typeof chat.branches === 'object' &&
+                Object.values(chat.branches).every(group =>
+                    group && Number.isInteger(group.active) && Array.isArray(group.variants) &&
+                    group.variants.every(variant => variant === null || (Array.isArray(variant) && checkMessages(variant))) &&
+                    // The active branch is the one in chat.messages, so its slot is empty
+                    group.active >= 0 && group.active < group.variants.length && group.variants[group.active] === null
+                );
+            if (!validBranches) errors.push('invalid branches');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Convert one Open WebUI chat export entry
+     * @param {Object} item - Entry of an Open WebUI export
+     * @returns {Object} - Chat in this app's format
+     */
+    parseOpenWebUIChat(item) {
+        if (!item || typeof item !== 'object') {
+            throw new Error('not an object');
+        }
+
+        const source = item.chat || item;
+        const nodes = {};
+        let currentId = null;
+
+        if (source.history && source.history.messages && typeof source.history.messages === 'object') {
+            Object.values(source.history.messages).forEach(message => {
+                if (message && message.id) {
+                    nodes[message.id] = {
+                        id: message.id,
+                        parentId: message.parentId || null,
+                        childrenIds: Array.isArray(message.childrenIds) ? message.childrenIds : [],
+                        message: this.convertOpenWebUIMessage(message)
+                    };
+                }
+            });
+            currentId = source.history.currentId;
+        } else if (Array.isArray(source.messages)) {
+            // Older exports only have the visible conversation as a list
+            source.messages.forEach((message, index) => {
+                const id = message.id || `message-${index}`;
+                const parentId = index > 0 ? (source.messages[index - 1].id || `message-${index - 1}`) : null;
+                nodes[id] = { id, parentId, childrenIds: [], message: this.convertOpenWebUIMessage(message) };
+                if (parentId) nodes[parentId].childrenIds.push(id);
+                currentId = id;
+            });
+        } else {
+            throw new Error('no messages found');
+        }
+
+        const created = item.created_at || (source.timestamp ? source.timestamp / 1000 : null);
+        const chat = this.treeToChat(nodes, currentId, {
+            title: item.title || source.title,
+            created: this.fromUnixSeconds(created),
+            updated: this.fromUnixSeconds(item.updated_at || created),
+            model: Array.isArray(source.models) ? source.models[0] : null
+        });
+        chat.pinned = Boolean(item.pinned);
+        chat.archived = Boolean(item.archived);
+        return chat;
+    }
+
+    /**
+     * Convert an Open WebUI message
+     * @param {Object} message - Open WebUI message
+     * @returns {Object|null} - Message in this app's format, or null to skip it
+     */
+    convertOpenWebUIMessage(message) {
+        if (!message || (message.role !== 'user' && message.role !== 'assistant')) {
+            return null;
+        }
+
+        const converted = {
+            type: message.role,
+            content: typeof message.content === 'string' ? message.content : '',
+            timestamp: this.fromUnixSeconds(message.timestamp)
+        };
+
+        const image = Array.isArray(message.files) ? message.files.find(file => file && file.type === 'image' && file.url) : null;
+        if (message.role === 'assistant') {
+            converted.responseType = 'text';
+            if (message.model) converted.model = message.model;
+            if (!converted.content && image) {
+                converted.content = image.url;
+                converted.responseType = 'image';
+            }
+            if (message.annotation && message.annotation.rating) {
+                converted.feedback = {
+                    rating: message.annotation.rating > 0 ? 'like' : 'dislike',
+                    reason: message.annotation.reason || null,
+                    timestamp: converted.timestamp
+                };
+            }
+        }
+
+        return converted.content ? converted : null;
+    }
+
+    /**
+     * Convert one conversation from ChatGPT's conversations.json
+     * @param {Object} conversation - ChatGPT conversation
+     * @returns {Object} - Chat in this app's format
+     */
+    parseChatGPTConversation(conversation) {
+        if (!conversation || !conversation.mapping || typeof conversation.mapping !== 'object') {
+            throw new Error('missing message mapping');
+        }
+
+        const nodes = {};
+        Object.values(conversation.mapping).forEach(node => {
+            if (node && node.id) {
+                nodes[node.id] = {
+                    id: node.id,
+                    parentId: node.parent || null,
+                    childrenIds: Array.isArray(node.children) ? node.children : [],
+                    message: this.convertChatGPTMessage(node.message)
+                };
+            }
+        });
+
+        return this.treeToChat(nodes, conversation.current_node, {
+            title: conversation.title,
+            created: this.fromUnixSeconds(conversation.create_time),
+            updated: this.fromUnixSeconds(conversation.update_time || conversation.create_time),
+            model: conversation.default_model_slug || null
+        });
+    }
+
+    /**
+     * Convert a ChatGPT message; only visible text from the user and assistant is kept
+     * @param {Object|null} message - ChatGPT message
+     * @returns {Object|null} - Message in this app's format, or null to skip it
+     */
+    convertChatGPTMessage(message) {
+        if (!message || !message.author || !message.content) return null;
+
+        const role = message.author.role;
+        if (role !== 'user' && role !== 'assistant') return null;
+        if (message.metadata && message.metadata.is_visually_hidden_from_conversation) return null;
+
+        const { content_type: contentType, parts } = message.content;
+        if (contentType !== 'text' && contentType !== 'multimodal_text') return null;
+
+        const text = (Array.isArray(parts) ? parts : [])
+            .filter(part => typeof part === 'string')
+            .join('\n')
+            .trim();
+        if (!text) return null;
+
+        const converted = {
+            type: role,
+            content: text,
+            timestamp: this.fromUnixSeconds(message.create_time)
+        };
+
+        if (role === 'assistant') {
+            converted.responseType = 'text';
+            if (message.metadata && message.metadata.model_slug) {
+                converted.model = message.metadata.model_slug;
+            }
+        }
+
+        return converted;
+    }
+
+    /**
+     * Turn a message tree into a chat; forks become branches, with the
+     * path to currentId as the active conversation
+     * @param {Object} nodes - Map of node ID to { id, parentId, childrenIds, message|null }
+     * @param {string|null} currentId - Leaf of the active path
+     * @param {Object} details - { title, created, updated, model }
+     * @returns {Object} - Chat in this app's format
+     */
+    treeToChat(nodes, currentId, details) {
+        const branches = {};
+
+        // Mark the active path so forks follow it
+        const activePath = new Set();
+        let cursor = nodes[currentId] ? currentId : null;
+        while (cursor && nodes[cursor] && !activePath.has(cursor)) {
+            activePath.add(cursor);
+            cursor = nodes[cursor].parentId;
+        }
+
+        // Nodes without content (system prompts, tool calls) are skipped but their children kept
+        const buildPath = (startId, visited) => {
+            const messages = [];
+            let pendingGroup = null;
+            let id = startId;
+
+            while (id && nodes[id] && !visited.has(id)) {
+                visited.add(id);
+                const node = nodes[id];
+
+                if (node.message) {
+                    messages.push({
+                        id: this.storageManager.generateMessageId(),
+                        ...node.message,
+                        ...(pendingGroup ? { branchGroup: pendingGroup } : {})
+                    });
+                    pendingGroup = null;
+                }
+
+                const children = node.childrenIds.filter(childId => nodes[childId]);
+                if (children.length === 0) break;
+
+                // Off the active path, follow the newest reply like Open WebUI does
+                const chosen = children.find(childId => activePath.has(childId)) || children[children.length - 1];
+
+                if (children.length > 1) {
+                    const variants = children
+                        .map(childId => childId === chosen ? null : buildPath(childId, visited))
+                        .filter(variant => variant === null || variant.length > 0);
+
+                    if (variants.length > 1) {
+                        const groupId = this.storageManager.generateBranchId();
+                        variants.forEach(variant => {
+                            if (variant) variant[0].branchGroup = groupId;
+                        });
+                        branches[groupId] = { active: variants.indexOf(null), variants };
+                        pendingGroup = groupId;
+                    }
+                }
+
+                id = chosen;
+            }
+
+            // A fork whose chosen side had no content cannot be switched to; drop it
+            if (pendingGroup) {
+                branches[pendingGroup].variants.forEach(variant => {
+                    if (variant) delete variant[0].branchGroup;
+                });
+                delete branches[pendingGroup];
+            }
+
+            return messages;
+        };
+
+        // Edited versions of the first message are sibling roots; an empty node above them
+        // makes them a fork like any other, with the active one in chat.messages
+        const rootIds = Object.values(nodes)
+            .filter(node => !node.parentId || !nodes[node.parentId])
+            .map(node => node.id);
+        const topId = this.storageManager.generateBranchId();
+        nodes = { ...nodes, [topId]: { id: topId, parentId: null, childrenIds: rootIds, message: null } };
+        const messages = rootIds.length > 0 ? buildPath(topId, new Set()) : [];
+
+        const created = details.created;
+        const chat = {
+            id: this.storageManager.generateChatId(),
+            title: (details.title || '').trim() || (messages[0] ? this.storageManager.generateChatTitle(messages[0].content) : 'Imported chat'),
+            messages,
+            state: null,
+            model: details.model || null,
+            ruleSet: null,
+            pinned: false,
+            folderId: null,
+            archived: false,
+            deletedAt: null,
+            created,
+            updated: details.updated || created,
+            messageCount: messages.length
+        };
+
+        if (Object.keys(branches).length > 0) {
+            chat.branches = branches;
+        }
+
+        return chat;
+    }
+
+    /**
+     * Warn about chats that look like ones already stored
+     * @param {Object} result - Parse result
+     */
+    checkCollisions(result) {
+        const existing = this.storageManager.getAllChats();
+        const duplicates = result.chats.filter(chat =>
+            existing.some(other => other.title === chat.title && other.created === chat.created)
+        );
+
+        if (duplicates.length > 0) {
+            result.warnings.push(`${duplicates.length} chat(s) look like ones you already have; they will be imported as copies`);
+        }
+
+        // Trashed chats count towards the limit too; pick the chats to drop the way importChats will
+        const limit = this.storageManager.maxChats;
+        const stored = (this.storageManager.getStorageData() || { chats: [] }).chats;
+        const total = stored.length + result.chats.length;
+        if (total > limit) {
+            const merged = [...result.chats, ...stored].sort((a, b) => new Date(b.updated) - new Date(a.updated));
+            const dropped = this.storageManager.getTrimCandidates({ chats: merged }, total - limit);
+            const droppedImports = dropped.filter(chat => result.chats.includes(chat)).length;
+            result.warnings.push(`Only ${limit} chats are kept; ${dropped.length} chat(s) will be removed, trashed ones first and then the least recently updated unpinned ones` +
+                (droppedImports > 0 ? `, including ${droppedImports} of the imported chats` : ''));
+        }
+
+        const limitMessages = this.storageManager.maxMessagesPerChat;
+        const long = result.chats.filter(chat => chat.messages.length > limitMessages);
+        if (long.length > 0) {
+            // Trim copies the way importChats will, to count what goes with the older messages
+            let versions = 0;
+            let bookmarks = 0;
+            long.forEach(chat => {
+                const trimmed = { ...chat };
+                versions += this.storageManager.trimMessages(trimmed);
+                const kept = new Set(this.storageManager.getAllChatMessages(trimmed).map(message => message.id));
+                bookmarks += result.bookmarks.filter(b => b.chatId === chat.id && !kept.has(b.messageId)).length;
+            });
+
+            const dropped = [];
+            if (versions > 0) dropped.push(`${versions} set(s) of edited or regenerated versions`);
+            if (bookmarks > 0) dropped.push(`${bookmarks} bookmark(s)`);
+            result.warnings.push(`${long.length} chat(s) have more than ${limitMessages} messages; only the latest ${limitMessages} are kept` +
+                (dropped.length ? `, and ${dropped.join(' and ')} on older messages will be dropped` : ''));
+        }
+    }
+
+    /**
+     * Convert Unix seconds to an ISO date, defaulting to now
+     * @param {number|null} seconds - Unix time in seconds
+     * @returns {string} - ISO date string
+     */
+    fromUnixSeconds(seconds) {
+        return typeof seconds === 'number' && isFinite(seconds) ?
+            new Date(seconds * 1000).toISOString() :
+            new Date().toISOString();
+    }
+
+    /**
+     * Normalize a stored date, defaulting to now
+     * @param {string} value - Date string
+     * @returns {string} - ISO date string
+     */
+    toISODate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+    }
+}
+
+// Create global instance
+window.ChatImporter = ChatImporter;
@@ -0,0 +1,774 @@
+/**
+ * Markdown Module
+ * Renders the Markdown used in responses to sanitized HTML
+ *
+ * All text is escaped and only the elements created here reach the page, so
+ * HTML written in a response is shown as text. Links and images only keep
+ * http(s), mailto and relative URLs (checked by HtmlSanitizer, which also
+ * cleans the output again when it is inserted).
+ *
+ * Math ($...$, $$...$$) and ```mermaid blocks are written out as their source
+ * first; enhance() then renders them with the KaTeX and Mermaid copies in
+ * assets/vendor, loading each library the first time it is needed.
+ */
+
+class MarkdownRenderer {
+    constructor() {
+        this.sanitizer = new HtmlSanitizer();
+
+        // Token patterns per language, tried in order at each position
+        this.languages = {
+            javascript: [
+                ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+                ['string', /`(?:\\[\s\S]|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/],
+                ['keyword', /\b(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|interface|let|new|of|return|static|super|switch|this|throw|try|type|typeof|var|void|while|yield)\b/],
+                ['literal', /\b(?:true|false|null|undefined|NaN|Infinity)\b/],
+                ['number', /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/],
+                ['function', /\b[A-Za-z_$][\w$]*(?=\s*\()/]
+            ],
+            python: [
+                ['comment', /#[^\n]*/],
+                ['string', /(?:[rbfuRBFU]{0,2})(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*')/],
+                ['keyword', /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield)\b/],
+                ['literal', /\b(?:True|False|None|self)\b/],
+                ['number', /\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+                ['function', /\b[A-Za-z_]\w*(?=\s*\()/]
+            ],
+            bash: [
+                ['comment', /(?:^|\s)#[^\n]*/],
+                ['string', /"(?:\\.|[^\\"])*"|'[^']*'/],
+                ['variable', /\$(?:\{[^}]*\}|\w+)/],
+                ['keyword', /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|function|in|return|export|local|sudo)\b/],
+                ['number', /\b\d+\b/]
+            ],
+            json: [
+                ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/],
+                ['string', /"(?:\\.|[^\\"\n])*"/],
+                ['literal', /\b(?:true|false|null)\b/],
+                ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+            ],
+            html: [
+                ['comment', /<!--[\s\S]*?-->/],
+                ['tag', /<\/?[A-Za-z][\w:-]*|\/?>/],
+                ['attr', /\b[A-Za-z_:][\w:.-]*(?==)/],
+                ['string', /"[^"]*"|'[^']*'/]
+            ],
+            css: [
+                ['comment', /\/\*[\s\S]*?\*\//],
+                ['string', /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/],
+                ['property', /[\w-]+(?=\s*:[^;{}]*[;}])/],
+                ['keyword', /@[\w-]+|!important/],
+                ['number', /#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|s|ms|deg)?/]
+            ],
+            sql: [
+                ['comment', /--[^\n]*|\/\*[\s\S]*?\*\//],
+                ['string', /'(?:''|[^'])*'/],
+                ['keyword', /\b(?:select|from|where|and|or|not|insert|into|values|update|set|delete|create|table|alter|drop|join|left|right|inner|outer|on|group|by|order|having|limit|offset|as|distinct|union|null|is|in|like|between|case|when|then|else|end|primary|key|index|count|sum|avg|min|max)\b/i],
+                ['number', /\b\d+(?:\.\d+)?\b/]
+            ]
+        };
+
+        this.languageAliases = {
+            js: 'javascript',
+            jsx: 'javascript',
+            ts: 'javascript',
+            typescript: 'javascript',
+            node: 'javascript',
+            py: 'python',
+            sh: 'bash',
+            shell: 'bash',
+            zsh: 'bash',
+            console: 'bash',
+            xml: 'html',
+            svg: 'html',
+            postgres: 'sql',
+            mysql: 'sql'
+        };
+
+        this.caseInsensitiveLanguages = ['sql'];
+        this.compiledLanguages = {};
+
+        // Libraries bundled with the app, loaded on first use (never from a CDN)
+        this.libraries = {
+            katex: {
+                script: 'assets/vendor/katex/katex.min.js',
+                stylesheet: 'assets/vendor/katex/katex.min.css'
+            },
+            mermaid: {
+                script: 'assets/vendor/mermaid/mermaid.min.js'
+            }
+        };
+        this.libraryLoads = {};
+        this.mermaidReady = false;
+        this.diagramCounter = 0;
+        this.citationCount = 0;
+    }
+
+    /**
+     * Render Markdown to sanitized HTML
+     * @param {string} markdown - Markdown text
+     * @param {Object} options - { citations: number of sources that [1], [2]... markers may point at }
+     * @returns {string} - HTML
+     */
+    render(markdown, options = {}) {
+        const lines = String(markdown || '')
+            .replace(/\u0000/g, '')
+            .replace(/\r\n?/g, '\n')
+            .split('\n');
+
+        this.citationCount = options.citations || 0;
+        try {
+            return this.renderBlocks(lines, false);
+        } finally {
+            this.citationCount = 0;
+        }
+    }
+
+    /**
+     * Render a run of lines as block elements
+     * @param {Array<string>} lines - Source lines
+     * @param {boolean} tight - Whether paragraphs are left unwrapped (tight list items)
+     * @returns {string} - HTML
+     */
+    renderBlocks(lines, tight) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/);
+            if (fence) {
+                const body = [];
+                i++;
+                while (i < lines.length && !this.isClosingFence(lines[i], fence[1])) {
+                    body.push(lines[i]);
+                    i++;
+                }
+                i++; // Skip the closing fence (a block still streaming has none yet)
+                html.push(fence[2].toLowerCase() === 'mermaid' ?
+                    this.renderDiagramSource(body.join('\n')) :
+                    this.renderCodeBlock(body.join('\n'), fence[2]));
+                continue;
+            }
+
+            if (/^ {0,3}\$\$/.test(line)) {
+                const math = this.collectDisplayMath(lines, i);
+                if (math) {
+                    html.push(this.renderMathSource(math.source, true));
+                    i = math.next;
+                    continue;
+                }
+            }
+
+            const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (this.isRule(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^ {0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderBlocks(quoted, false)}</blockquote>`);
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                const rows = [];
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderTable(rows));
+                continue;
+            }
+
+            if (this.getListItem(line)) {
+                const list = this.renderList(lines, i);
+                html.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const paragraph = [line.trim()];
+            i++;
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            const content = this.renderInline(paragraph.join('\n'));
+            html.push(tight ? content : `<p>${content}</p>`);
+        }
+
+        return html.join('');
+    }
+
+    /**
+     * Check whether a line starts a block that interrupts a paragraph
+     * @param {Array<string>} lines - Source lines
+     * @param {number} index - Line to check
+     * @returns {boolean} - Whether the line starts a new block
+     */
+    startsBlock(lines, index) {
+        const line = lines[index];
+        return /^ {0,3}(`{3,}|~{3,}|#{1,6}\s|>|\$\$)/.test(line) ||
+            this.isRule(line) ||
+            this.isTableStart(lines, index) ||
+            this.interruptsParagraph(this.getListItem(line));
+    }
+
+    /**
+     * Check whether a list item may start right after paragraph text.
+     * Like CommonMark, a numbered line only does so when it is numbered 1,
+     * so sentences that happen to start with "2024." stay text.
+     * @param {Object|null} item - Item from getListItem
+     * @returns {boolean} - Whether the item starts a list
+     */
+    interruptsParagraph(item) {
+        return Boolean(item) && (!item.ordered || item.start === 1);
+    }
+
+    /**
+     * Collect a $$ display math block, which may span several lines
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Line starting with $$
+     * @returns {Object|null} - { source, next } or null if the block is never closed
+     */
+    collectDisplayMath(lines, start) {
+        const first = lines[start].trim().slice(2);
+        if (first.endsWith('$$')) {
+            return { source: first.slice(0, -2), next: start + 1 };
+        }
+
+        const body = [first];
+        for (let i = start + 1; i < lines.length; i++) {
+            const end = lines[i].indexOf('$$');
+            if (end !== -1) {
+                body.push(lines[i].slice(0, end));
+                return { source: body.join('\n'), next: i + 1 };
+            }
+            body.push(lines[i]);
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a line closes a fenced code block
+     * @param {string} line - Source line
+     * @param {string} fence - Opening fence characters
+     * @returns {boolean} - Whether the line closes the block
+     */
+    isClosingFence(line, fence) {
+        const match = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+        return Boolean(match) && match[1][0] === fence[0] && match[1].length >= fence.length;
+    }
+
+    /**
+     * Check whether a line is a horizontal rule (---, ***, ___)
+     * @param {string} line - Source line
+     * @returns {boolean} - Whether the line is a rule
+     */
+    isRule(line) {
+        return /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line);
+    }
+
+    /**
+     * Check whether a table (header row followed by a |---| row) starts at a line
+     * @param {Array<string>} lines - Source lines
+     * @param {number} index - Line to check
+     * @returns {boolean} - Whether a table starts here
+     */
+    isTableStart(lines, index) {
+        return lines[index].includes('|') &&
+            index + 1 < lines.length &&
+            /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[index + 1]) &&
+            lines[index + 1].includes('-');
+    }
+
+    /**
+     * Parse a list item marker
+     * @param {string} line - Source line
+     * @returns {Object|null} - { indent, ordered, start, text, contentIndent } or null
+     */
+    getListItem(line) {
+        const match = line.match(/^(\s*)([-*+•]|(\d{1,9})[.)])(\s+)(.*)$/);
+        if (!match || this.isRule(line)) return null;
+
+        return {
+            indent: match[1].length,
+            ordered: match[3] !== undefined,
+            start: match[3] !== undefined ? parseInt(match[3], 10) : 1,
+            text: match[5],
+            contentIndent: match[1].length + match[2].length + Math.min(match[4].length, 4)
+        };
+    }
+
+    /**
+     * Render a list and any lists nested in it
+     * @param {Array<string>} lines - Source lines
+     * @param {number} start - Index of the first item
+     * @returns {Object} - { html, next } where next is the first line after the list
+     */
+    renderList(lines, start) {
+        const first = this.getListItem(lines[start]);
+        const items = [];
+        let current = null;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const item = this.getListItem(line);
+            const indent = line.match(/^\s*/)[0].length;
+
+            if (item && item.indent <= first.indent + 1 && item.ordered === first.ordered) {
+                current = { lines: [item.text], contentIndent: item.contentIndent };
+                items.push(current);
+            } else if (item && item.indent <= first.indent + 1) {
+                break; // A different kind of list starts
+            } else if (!line.trim()) {
+                // A blank line continues the list only if more of it follows
+                const nextIndex = lines.findIndex((next, index) => index > i && next.trim());
+                if (nextIndex === -1) break;
+                const next = lines[nextIndex];
+                const nextItem = this.getListItem(next);
+                const continues = next.match(/^\s*/)[0].length >= current.contentIndent ||
+                    (nextItem && nextItem.indent <= first.indent + 1 && nextItem.ordered === first.ordered);
+                if (!continues) break;
+                current.lines.push('');
+            } else if (indent > first.indent) {
+                current.lines.push(line.slice(Math.min(indent, current.contentIndent)));
+            } else if (!this.startsBlock(lines, i) && current.lines[current.lines.length - 1].trim()) {
+                current.lines.push(line.trim()); // Lazy continuation of the item's text
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        const tag = first.ordered ? 'ol' : 'ul';
+        const startAttribute = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+        const body = items.map(item => {
+            let itemLines = item.lines;
+            let checkbox = '';
+            const task = itemLines[0].match(/^\[([ xX])\]\s+(.*)$/);
+            if (task) {
+                checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+                itemLines = [task[2], ...itemLines.slice(1)];
+            }
+            const loose = itemLines.some(l => !l.trim());
+            return `<li>${checkbox}${this.renderBlocks(itemLines, !loose)}</li>`;
+        }).join('');
+
+        return { html: `<${tag}${startAttribute}>${body}</${tag}>`, next: i };
+    }
+
+    /**
+     * Render a pipe table
+     * @param {Array<string>} rows - Header row, delimiter row and body rows
+     * @returns {string} - HTML
+     */
+    renderTable(rows) {
+        const split = (row) => {
+            const cells = row.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/);
+            return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+        };
+
+        const alignments = split(rows[1]).map(cell => {
+            if (/^:-+:$/.test(cell)) return 'center';
+            if (/^-+:$/.test(cell)) return 'right';
+            return null;
+        });
+
+        return this.renderTableData(split(rows[0]), rows.slice(2).map(split), { alignments });
+    }
+
+    /**
+     * Render a table from its cells; each cell may use inline Markdown
+     * @param {Array<string>} header - Column names
+     * @param {Array<Array<string>>} rows - Body rows (missing cells are left empty)
+     * @param {Object} options - { alignments: per-column 'center', 'right' or null, caption }
+     * @returns {string} - HTML
+     */
+    renderTableData(header, rows, options = {}) {
+        const alignments = options.alignments || [];
+        const cell = (tag, text, index) => {
+            const align = alignments[index];
+            const value = text === null || text === undefined ? '' : String(text);
+            return `<${tag}${align ? ` class="markdown__cell--${align}"` : ''}>${this.renderInline(value)}</${tag}>`;
+        };
+
+        const caption = options.caption ? `<caption class="markdown__table-caption">${this.renderInline(String(options.caption))}</caption>` : '';
+        const head = `<tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr>`;
+        const body = rows.map(cells => `<tr>${header.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`).join('');
+
+        return `<div class="markdown__table-wrap"><table class="markdown__table">${caption}<thead>${head}</thead>${body ? `<tbody>${body}</tbody>` : ''}</table></div>`;
+    }
+
+    /**
+     * Render a fenced code block with highlighting and a copy button
+     * @param {string} code - Code inside the fence
+     * @param {string} language - Language named after the opening fence
+     * @returns {string} - HTML
+     */
+    renderCodeBlock(code, language) {
+        const name = (language || '').toLowerCase();
+        const label = name || 'text';
+        return `<div class="markdown__code-block">` +
+            `<div class="markdown__code-header">` +
+            `<span class="markdown__code-language">${this.escapeHtml(label)}</span>` +
+            `<button type="button" class="markdown__copy" aria-label="Copy code">Copy</button>` +
+            `</div>` +
+            `<pre class="markdown__pre"><code${name ? ` class="language-${this.escapeHtml(name)}"` : ''}>${this.highlight(code, name)}</code></pre>` +
+            `</div>`;
+    }
+
+    /**
+     * Write math out as its source, to be rendered by enhance()
+     * @param {string} source - LaTeX source without the $ delimiters
+     * @param {boolean} display - Whether it is display ($$) math
+     * @returns {string} - HTML
+     */
+    renderMathSource(source, display) {
+        const tag = display ? 'div' : 'span';
+        return `<${tag} class="markdown__math${display ? ' markdown__math--display' : ''}">${this.escapeHtml(source.trim())}</${tag}>`;
+    }
+
+    /**
+     * Write a Mermaid diagram out as its source, to be rendered by enhance()
+     * @param {string} source - Mermaid definition
+     * @returns {string} - HTML
+     */
+    renderDiagramSource(source) {
+        return `<div class="markdown__diagram"><pre class="markdown__diagram-source">${this.escapeHtml(source)}</pre></div>`;
+    }
+
+    /**
+     * Highlight code for one of the known languages
+     * @param {string} code - Source code
+     * @param {string} language - Language name or alias
+     * @returns {string} - Escaped HTML with token spans
+     */
+    highlight(code, language) {
+        const pattern = this.getLanguagePattern(language);
+        if (!pattern) {
+            return this.escapeHtml(code);
+        }
+
+        const types = this.languages[this.languageAliases[language] || language].map(([type]) => type);
+        let html = '';
+        let last = 0;
+        pattern.lastIndex = 0;
+
+        let match;
+        while ((match = pattern.exec(code)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            const type = types[match.slice(1).findIndex(group => group !== undefined)];
+            html += this.escapeHtml(code.slice(last, match.index));
+            html += `<span class="markdown__token--${type}">${this.escapeHtml(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+
+        return html + this.escapeHtml(code.slice(last));
+    }
+
+    /**
+     * Build (once) the combined token pattern of a language
+     * @param {string} language - Language name or alias
+     * @returns {RegExp|null} - Global pattern with one group per token type
+     */
+    getLanguagePattern(language) {
+        const name = this.languageAliases[language] || language;
+        if (!this.languages[name]) return null;
+
+        if (!this.compiledLanguages[name]) {
+            const source = this.languages[name].map(([, regex]) => `(${regex.source})`).join('|');
+            this.compiledLanguages[name] = new RegExp(source, this.caseInsensitiveLanguages.includes(name) ? 'gi' : 'g');
+        }
+        return this.compiledLanguages[name];
+    }
+
+    /**
+     * Render inline Markdown: code, links, images, emphasis and line breaks
+     * @param {string} text - Inline text
+     * @returns {string} - HTML
+     */
+    renderInline(text) {
+        const stash = [];
+        const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+        let result = text
+            // Escaped dollars and backticks, before they can open math or code
+            .replace(/\\([$`])/g, (m, char) => keep(this.escapeHtml(char)))
+            // Code spans
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => keep(`<code>${this.escapeHtml(code.trim())}</code>`))
+            // Math, kept away from the other rules so LaTeX backslashes and underscores survive.
+            // Inline $...$ must hug its content and not be followed by a digit, so "$5 or $10" stays text.
+            .replace(/\$\$([\s\S]+?)\$\$/g, (m, math) => keep(this.renderMathSource(math, true)))
+            .replace(/\$(?=\S)([^$\n]*?\S)\$(?!\d)/g, (m, math) => keep(this.renderMathSource(math, false)))
+            // Backslash escapes
+            .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, (m, char) => keep(this.escapeHtml(char)))
+            // Images and links
+            .replace(/(!?)\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (m, bang, label, url, title) =>
+                keep(bang ? this.renderImage(label, url, title) : this.renderLink(this.renderInline(label), url, title)))
+            // Citation markers like [1], for responses with that many sources
+            .replace(/\[(\d{1,3})\]/g, (m, number) =>
+                (number >= 1 && number <= this.citationCount ? keep(this.renderCitation(Number(number))) : m))
+            // Autolinks and bare URLs
+            .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/gi, (m, url) => keep(this.renderLink(this.escapeHtml(url), url)))
+            .replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/gi, (url) => keep(this.renderLink(this.escapeHtml(url), url)));
+
+        result = this.escapeHtml(result)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/\*(?=[^\s*])([^*\s])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_]|[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/\n/g, '<br>');
+
+        // Stashed fragments can contain other stashed fragments (e.g. code in a link label)
+        while (/\u0000\d+\u0000/.test(result)) {
+            result = result.replace(/\u0000(\d+)\u0000/g, (m, index) => stash[index]);
+        }
+        return result;
+    }
+
+    /**
+     * Render the math and diagrams in an element produced by render().
+     * Anything that fails to render keeps its source, marked with an error badge.
+     * @param {HTMLElement} element - Element containing rendered Markdown
+     * @returns {Promise<void>} - Resolves when everything has been attempted
+     */
+    async enhance(element) {
+        const math = [...element.querySelectorAll('.markdown__math:not([data-rendered])')];
+        const diagrams = [...element.querySelectorAll('.markdown__diagram:not([data-rendered])')];
+        [...math, ...diagrams].forEach(node => node.setAttribute('data-rendered', 'pending'));
+
+        const tasks = [];
+        if (math.length > 0) {
+            tasks.push(this.loadLibrary('katex')
+                .then(katex => math.forEach(node => this.renderMath(katex, node)))
+                .catch(error => math.forEach(node => this.showRenderError(node, node.textContent, 'Math', error))));
+        }
+        if (diagrams.length > 0) {
+            tasks.push(this.loadLibrary('mermaid')
+                .then(mermaid => Promise.all(diagrams.map(node => this.renderDiagram(mermaid, node))))
+                .catch(error => diagrams.forEach(node => this.showRenderError(node, node.textContent, 'Diagram', error))));
+        }
+        await Promise.all(tasks);
+    }
+
+    /**
+     * Typeset one math element with KaTeX
+     * @param {Object} katex - KaTeX library
+     * @param {HTMLElement} node - Element holding the LaTeX source
+     */
+    renderMath(katex, node) {
+        const source = node.textContent;
+        try {
+            katex.render(source, node, {
+                displayMode: node.classList.contains('markdown__math--display'),
+                throwOnError: true,
+                trust: false
+            });
+            node.setAttribute('data-rendered', 'true');
+        } catch (error) {
+            this.showRenderError(node, source, 'Math', error);
+        }
+    }
+
+    /**
+     * Draw one diagram with Mermaid
+     * @param {Object} mermaid - Mermaid library
+     * @param {HTMLElement} node - Element holding the diagram source
+     * @returns {Promise<void>} - Resolves when the diagram is drawn or marked as failed
+     */
+    async renderDiagram(mermaid, node) {
+        const source = node.textContent;
+        const id = `mermaid-diagram-${++this.diagramCounter}`;
+        try {
+            const { svg } = await mermaid.render(id, source);
+            this.sanitizer.setHtml(node, svg, { svg: true, styleScope: id });
+            node.setAttribute('data-rendered', 'true');
+        } catch (error) {
+            // Mermaid can leave its scratch element behind when parsing fails
+            const leftover = document.getElementById(`d${id}`);
+            if (leftover) leftover.remove();
+            this.showRenderError(node, source, 'Diagram', error);
+        }
+    }
+
+    /**
+     * Replace an element's content with its raw source and an error badge
+     * @param {HTMLElement} node - Math or diagram element
+     * @param {string} source - Source that failed to render
+     * @param {string} kind - 'Math' or 'Diagram'
+     * @param {Error} error - Why rendering failed
+     */
+    showRenderError(node, source, kind, error) {
+        const display = node.tagName !== 'SPAN';
+        const badge = document.createElement('span');
+        badge.className = 'markdown__error-badge';
+        badge.textContent = `${kind} error`;
+        badge.title = (error && error.message) || String(error);
+
+        const code = document.createElement(display ? 'pre' : 'code');
+        code.className = 'markdown__error-source';
+        code.textContent = source;
+
+        node.textContent = '';
+        node.classList.add('markdown__render-error');
+        node.append(badge, code);
+        node.setAttribute('data-rendered', 'error');
+        console.warn(`${kind} could not be rendered:`, error);
+    }
+
+    /**
+     * Load a bundled library once, with its stylesheet
+     * @param {string} name - 'katex' or 'mermaid'
+     * @returns {Promise<Object>} - The library's global object
+     */
+    loadLibrary(name) {
+        if (window[name]) {
+            return Promise.resolve(this.setupLibrary(name, window[name]));
+        }
+        if (this.libraryLoads[name]) {
+            return this.libraryLoads[name];
+        }
+
+        const { script, stylesheet } = this.libraries[name];
+        if (stylesheet) {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = stylesheet;
+            document.head.appendChild(link);
+        }
+
+        this.libraryLoads[name] = new Promise((resolve, reject) => {
+            const element = document.createElement('script');
+            element.src = script;
+            element.onload = () => {
+                if (window[name]) {
+                    resolve(this.setupLibrary(name, window[name]));
+                } else {
+                    reject(new Error(`${script} did not define ${name}`));
+                }
+            };
+            element.onerror = () => reject(new Error(`Could not load ${script}`));
+            document.head.appendChild(element);
+        }).catch(error => {
+            delete this.libraryLoads[name]; // Allow a retry with the next message
+            throw error;
+        });
+        return this.libraryLoads[name];
+    }
+
+    /**
+     * Configure a library the first time it is used
+     * @param {string} name - Library name
+     * @param {Object} library - The library's global object
+     * @returns {Object} - The library
+     */
+    setupLibrary(name, library) {
+        if (name === 'mermaid' && !this.mermaidReady) {
+            library.initialize({
+                startOnLoad: false,
+                securityLevel: 'strict',
+                theme: 'dark',
+                // Labels as SVG text: the sanitizer does not allow HTML inside diagrams (foreignObject)
+                htmlLabels: false,
+                flowchart: { htmlLabels: false },
+                // Diagrams cannot change these with %%{init}%% directives, so they cannot add their own CSS
+                secure: [
+                    'secure', 'securityLevel', 'startOnLoad', 'maxTextSize', 'suppressErrorRendering', 'maxEdges',
+                    'theme', 'themeCSS', 'themeVariables', 'fontFamily', 'altFontFamily', 'htmlLabels', 'flowchart'
+                ]
+            });
+            this.mermaidReady = true;
+        }
+        return library;
+    }
+
+    /**
+     * Render a citation marker that points at one of the response's sources
+     * @param {number} number - Source number, starting at 1
+     * @returns {string} - HTML
+     */
+    renderCitation(number) {
+        return `<sup class="markdown__citation"><button type="button" class="markdown__citation-link" data-citation="${number}" aria-label="Source ${number}">${number}</button></sup>`;
+    }
+
+    /**
+     * Render a link, or just its label if the URL is not allowed
+     * @param {string} labelHtml - Rendered link text
+     * @param {string} url - Link target
+     * @param {string} title - Optional title
+     * @returns {string} - HTML
+     */
+    renderLink(labelHtml, url, title = '') {
+        const href = this.sanitizeUrl(url);
+        if (!href) return labelHtml;
+
+        const external = /^(https?:)?\/\//i.test(href);
+        return `<a href="${this.escapeHtml(href)}"${title ? ` title="${this.escapeHtml(title)}"` : ''}` +
+            `${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${labelHtml}</a>`;
+    }
+
+    /**
+     * Render an image, or its alt text if the URL is not allowed
+     * @param {string} alt - Alt text
+     * @param {string} url - Image source
+     * @param {string} title - Optional title
+     * @returns {string} - HTML
+     */
+    renderImage(alt, url, title = '') {
+        const src = this.sanitizeUrl(url, true);
+        if (!src) return this.escapeHtml(alt);
+
+        return `<img class="markdown__image" src="${this.escapeHtml(src)}" alt="${this.escapeHtml(alt)}"` +
+            `${title ? ` title="${this.escapeHtml(title)}"` : ''} loading="lazy">`;
+    }
+
+    /**
+     * Allow only safe URL schemes
+     * @param {string} url - URL from the Markdown
+     * @param {boolean} isImage - Whether embedded raster images (data:image/...) are allowed
+     * @returns {string|null} - URL to use, or null if it is not allowed
+     */
+    sanitizeUrl(url, isImage = false) {
+        return this.sanitizer.sanitizeUrl(url, isImage);
+    }
+
+    /**
+     * Escape HTML special characters, including quotes for attribute values
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        return this.sanitizer.escapeHtml(text);
+    }
+}
+
+// Create global instance
+window.MarkdownRenderer = MarkdownRenderer;
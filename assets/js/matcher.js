@@ -6,7 +6,59 @@
 class MessageMatcher {
     constructor() {
         this.rules = [];
+        this.ruleSets = [];
+        this.defaultRuleSet = MessageMatcher.DEFAULT_RULE_SET;
+        this.activeRuleSet = null;
+        this.rulesSource = null;
+        this.storageListenerAttached = false;
         this.isLoaded = false;
+        this.defaultThreshold = 0.85; // Minimum similarity for fuzzy rules
+        this.regexCache = new Map();
+    }
+
+    /**
+     * Supported values for a rule's matchMode
+     */
+    static get MATCH_MODES() {
+        return ['exact', 'normalized', 'fuzzy', 'contains', 'startsWith', 'regex', 'keywords'];
+    }
+
+    /**
+     * Supported values for a rule's variantMode (how alternative values are picked)
+     */
+    static get VARIANT_MODES() {
+        return ['rotate', 'random'];
+    }
+
+    /**
+     * Supported values for a rule's type. Besides its text value, each rich
+     * type carries one extra field that is shown around the text:
+     * citations → sources, file → files, tool → toolCalls, thinking → thinking.
+     * A composite response is an ordered list of parts instead of one value.
+     */
+    static get RESPONSE_TYPES() {
+        return ['text', 'image', 'citations', 'file', 'tool', 'thinking', 'composite'];
+    }
+
+    /**
+     * Rule fields copied onto responses and stored messages for rich response types
+     */
+    static get DETAIL_FIELDS() {
+        return ['sources', 'files', 'toolCalls', 'thinking', 'parts'];
+    }
+
+    /**
+     * Supported part types of composite responses
+     */
+    static get PART_TYPES() {
+        return ['text', 'image', 'table', 'code'];
+    }
+
+    /**
+     * Name given to a top-level rules array that doesn't name its set
+     */
+    static get DEFAULT_RULE_SET() {
+        return 'Default';
     }
 
     /**
@@ -20,6 +72,7 @@ class MessageMatcher {
                 "value": "I can assist California state employees with:\n• Information about state employee benefits and resources\n• Guidance on accessing government services\n• General workplace policies and procedures\n• Technical support for common issues\n• Directions to relevant departments and contacts\n\nI'm designed specifically to support state employees in their daily work.",
                 "caseSensitive": false,
                 "contains": false,
+                "matchMode": "normalized",
                 "priority": 1,
                 "followup": [
                     "Can you help with technical issues?",
@@ -34,6 +87,7 @@ class MessageMatcher {
                 "value": "California state employees have access to comprehensive benefits including:\n• Health insurance through CalPERS\n• Retirement planning and pension information\n• Professional development opportunities\n• Employee assistance programs\n• Flexible work arrangements\n\nFor detailed information, I recommend visiting the CalHR website or contacting your HR department.",
                 "caseSensitive": false,
                 "contains": false,
+                "matchMode": "normalized",
                 "priority": 2,
                 "followup": [
                     "How do I contact my HR department?",
@@ -48,6 +102,7 @@ class MessageMatcher {
                 "value": "California offers numerous online services for both employees and citizens:\n• CA.gov portal for general services\n• Employee self-service systems\n• Benefits enrollment and management\n• Training and certification programs\n• Internal communication platforms\n\nMost services are accessible through your employee portal or the main CA.gov website.",
                 "caseSensitive": false,
                 "contains": false,
+                "matchMode": "normalized",
                 "priority": 3,
                 "followup": [
                     "How do I access the employee portal?",
@@ -62,6 +117,7 @@ class MessageMatcher {
                 "value": "As a state employee assistant, I have several important limitations:\n• I cannot access personal employee records or confidential information\n• I cannot make official policy decisions or interpretations\n• I cannot process transactions or make changes to your accounts\n• I cannot provide legal advice or medical guidance\n• I can only provide general information and guidance\n\nFor specific issues, please contact the appropriate department directly.",
                 "caseSensitive": false,
                 "contains": false,
+                "matchMode": "normalized",
                 "priority": 4,
                 "followup": [
                     "Who should I contact for HR issues?",
@@ -76,6 +132,7 @@ class MessageMatcher {
                 "value": "For technical issues, I can provide basic troubleshooting guidance:\n• Check your network connection\n• Clear your browser cache and cookies\n• Restart your computer if applications are slow\n• Ensure you're using supported browsers (Chrome, Firefox, Edge)\n• Contact your local IT support for hardware issues\n\nFor complex technical problems, please submit a ticket to your IT help desk.",
                 "caseSensitive": false,
                 "contains": false,
+                "matchMode": "normalized",
                 "priority": 5,
                 "followup": [
                     "How do I contact IT support?",
@@ -102,21 +159,39 @@ class MessageMatcher {
     }
 
     /**
-     * Load rules from localStorage first, then fallback to replies.json
+     * Load rule sets from localStorage first, then fallback to replies.json,
+     * and activate the named set (or the current/default one)
+     * @param {string|null} ruleSetName - Rule set to activate
      * @returns {Promise<void>}
      */
-    async loadRules() {
+    async loadRules(ruleSetName = null) {
+        const data = await this.fetchRuleData();
+        this.ruleSets = data.ruleSets;
+        this.defaultRuleSet = data.defaultRuleSet;
+        this.rulesSource = data.source;
+
+        if (!this.useRuleSet(ruleSetName || this.activeRuleSet || this.defaultRuleSet)) {
+            console.warn(`Rule set "${ruleSetName}" not found, using "${this.defaultRuleSet}"`);
+            this.useRuleSet(this.defaultRuleSet);
+        }
+
+        this.isLoaded = true;
+        console.log(`Rules loaded successfully from ${data.source}:`, this.rules.length, `rules in "${this.activeRuleSet}"`);
+        this.setupStorageListener();
+    }
+
+    /**
+     * Read rule data from localStorage (admin changes), replies.json or the embedded fallback
+     * @returns {Promise<Object>} - { ruleSets, defaultRuleSet, source }
+     */
+    async fetchRuleData() {
         try {
             // First try to load from localStorage (admin changes)
             const localRules = localStorage.getItem('chatRules');
             if (localRules) {
-                const data = JSON.parse(localRules);
-                if (data.rules && Array.isArray(data.rules)) {
-                    this.rules = data.rules.sort((a, b) => (a.priority || 999) - (b.priority || 999));
-                    this.isLoaded = true;
-                    console.log('Rules loaded successfully from localStorage:', this.rules.length, 'rules');
-                    this.setupStorageListener();
-                    return;
+                const data = this.normalizeRuleData(this.migrateStoredRules(JSON.parse(localRules)));
+                if (data) {
+                    return { ...data, source: 'localStorage' };
                 }
             }
 
@@ -125,36 +200,406 @@ class MessageMatcher {
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            const data = await response.json();
-            this.rules = data.rules.sort((a, b) => (a.priority || 999) - (b.priority || 999));
-            this.isLoaded = true;
-            console.log('Rules loaded successfully from JSON:', this.rules.length, 'rules');
-            this.setupStorageListener();
+            const data = this.normalizeRuleData(new SchemaMigrator().migrate('rules', await response.json()));
+            if (!data) {
+                throw new Error('replies.json contains no rules');
+            }
+            return { ...data, source: 'json' };
         } catch (error) {
             console.error('Failed to load rules from JSON, using fallback:', error);
             // Use embedded fallback rules
-            this.rules = this.getFallbackRules().sort((a, b) => (a.priority || 999) - (b.priority || 999));
-            this.isLoaded = true;
-            console.log('Fallback rules loaded:', this.rules.length, 'rules');
-            this.setupStorageListener();
+            return { ...this.normalizeRuleData({ rules: this.getFallbackRules() }), source: 'fallback' };
+        }
+    }
+
+    /**
+     * Upgrade rule data saved by the admin to the current schema. Each step is
+     * backed up to localStorage (chatRules_backup_v<version>) before it runs.
+     * @param {Object} data - Parsed chatRules data
+     * @returns {Object} - Upgraded data, or the data as stored if migrating failed
+     */
+    migrateStoredRules(data) {
+        if (!data || typeof data !== 'object') {
+            return data;
+        }
+
+        const migrator = new SchemaMigrator();
+        const steps = migrator.getPendingMigrations('rules', data);
+        if (steps.length === 0) {
+            return data;
+        }
+
+        try {
+            const migrated = steps.reduce((current, step) => {
+                localStorage.setItem(`chatRules_backup_v${step.from}`, JSON.stringify({
+                    id: `rules-v${step.from}`,
+                    kind: 'rules',
+                    version: step.from,
+                    created: new Date().toISOString(),
+                    data: current
+                }));
+                return migrator.runMigration(step, current);
+            }, data);
+            localStorage.setItem('chatRules', JSON.stringify(migrated));
+            return migrated;
+        } catch (error) {
+            console.error('Migrating stored rules failed, using them as stored:', error);
+            return data;
+        }
+    }
+
+    /**
+     * Get the snapshots of stored rules taken before migrations
+     * @returns {Array<Object>} - Backups as { id, kind, version, created, data }, newest first
+     */
+    getRuleBackups() {
+        const backups = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('chatRules_backup_v')) {
+                try {
+                    backups.push(JSON.parse(localStorage.getItem(key)));
+                } catch (error) {
+                    console.warn(`Ignoring unreadable rule backup ${key}:`, error);
+                }
+            }
+        }
+        return backups.sort((a, b) => new Date(b.created) - new Date(a.created));
+    }
+
+    /**
+     * Convert stored rule data into a list of named rule sets. Accepts the
+     * legacy { rules } shape, { ruleSets } or both; a top-level rules array
+     * becomes the set named by defaultRuleSet.
+     * @param {Object} data - Parsed rule data
+     * @returns {Object|null} - { ruleSets, defaultRuleSet } or null if there are no rules
+     */
+    normalizeRuleData(data) {
+        if (!data || typeof data !== 'object') {
+            return null;
+        }
+
+        const ruleSets = [];
+        if (Array.isArray(data.rules)) {
+            ruleSets.push({
+                name: data.defaultRuleSet || MessageMatcher.DEFAULT_RULE_SET,
+                rules: data.rules
+            });
+        }
+
+        (Array.isArray(data.ruleSets) ? data.ruleSets : []).forEach(set => {
+            const name = set && typeof set.name === 'string' ? set.name.trim() : '';
+            if (!name || !Array.isArray(set.rules)) {
+                console.warn('Skipping invalid rule set:', set);
+                return;
+            }
+            if (ruleSets.some(existing => existing.name === name)) {
+                console.warn(`Skipping duplicate rule set "${name}"`);
+                return;
+            }
+            ruleSets.push({ ...set, name });
+        });
+
+        if (ruleSets.length === 0) {
+            return null;
+        }
+
+        const defaultRuleSet = ruleSets.some(set => set.name === data.defaultRuleSet)
+            ? data.defaultRuleSet
+            : ruleSets[0].name;
+
+        return { ruleSets, defaultRuleSet };
+    }
+
+    /**
+     * Switch matching to an already loaded rule set
+     * @param {string} name - Rule set name
+     * @returns {boolean} - Whether the set exists
+     */
+    useRuleSet(name) {
+        const ruleSet = this.getRuleSet(name);
+        if (!ruleSet) {
+            return false;
+        }
+
+        this.activeRuleSet = ruleSet.name;
+        this.rules = this.prepareRules(ruleSet.rules);
+        return true;
+    }
+
+    /**
+     * Get a loaded rule set by name
+     * @param {string} name - Rule set name
+     * @returns {Object|null} - Rule set or null
+     */
+    getRuleSet(name) {
+        return this.ruleSets.find(set => set.name === name) || null;
+    }
+
+    /**
+     * Get names of all loaded rule sets
+     * @returns {Array<string>} - Rule set names
+     */
+    getRuleSetNames() {
+        return this.ruleSets.map(set => set.name);
+    }
+
+    /**
+     * Get the name of the rule set currently used for matching
+     * @returns {string|null} - Active rule set name
+     */
+    getActiveRuleSet() {
+        return this.activeRuleSet;
+    }
+
+    /**
+     * Validate rules and sort them by priority, dropping invalid ones
+     * @param {Array} rules - Raw rules
+     * @returns {Array} - Valid rules sorted by priority
+     */
+    prepareRules(rules) {
+        const validRules = rules.filter(rule => {
+            const errors = this.validateRule(rule);
+            if (errors.length > 0) {
+                console.warn('Skipping invalid rule:', rule, errors);
+                return false;
+            }
+            return true;
+        });
+
+        return validRules.sort((a, b) => (a.priority || 999) - (b.priority || 999));
+    }
+
+    /**
+     * Validate a rule definition
+     * @param {Object} rule - Rule to validate
+     * @returns {Array<string>} - Validation errors (empty if valid)
+     */
+    validateRule(rule) {
+        const errors = [];
+
+        if (!rule || typeof rule !== 'object') {
+            return ['Rule must be an object'];
+        }
+
+        const { match } = rule;
+        const mode = this.getMatchMode(rule);
+
+        if (!MessageMatcher.MATCH_MODES.includes(mode)) {
+            errors.push(`Unknown match mode "${mode}"`);
         }
+
+        if (mode === 'keywords') {
+            if (this.getKeywords(rule).length === 0) {
+                errors.push('Keyword rules need at least one keyword');
+            }
+            if (rule.keywordMode && !['all', 'any'].includes(rule.keywordMode)) {
+                errors.push(`Unknown keyword mode "${rule.keywordMode}"`);
+            }
+        } else if (Array.isArray(match)) {
+            if (match.length === 0 || match.some(term => typeof term !== 'string' || !term.trim())) {
+                errors.push('Match list must contain non-empty strings');
+            }
+        } else if (typeof match !== 'string' || !match.trim()) {
+            errors.push('Match must be a non-empty string');
+        }
+
+        if (mode === 'regex' && typeof match === 'string') {
+            try {
+                this.getRegex(match, rule.caseSensitive);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (rule.threshold !== undefined &&
+            (typeof rule.threshold !== 'number' || rule.threshold <= 0 || rule.threshold > 1)) {
+            errors.push('Threshold must be a number between 0 and 1');
+        }
+
+        if (rule.requires !== undefined) {
+            const states = Array.isArray(rule.requires) ? rule.requires : [rule.requires];
+            if (states.length === 0 || states.some(state => typeof state !== 'string' || !state.trim())) {
+                errors.push('Requires must be a state name or a list of state names');
+            }
+        }
+
+        if (rule.sets !== undefined && rule.sets !== null && (typeof rule.sets !== 'string' || !rule.sets.trim())) {
+            errors.push('Sets must be a state name, or null to end the flow');
+        }
+
+        if (rule.models !== undefined) {
+            const models = Array.isArray(rule.models) ? rule.models : [rule.models];
+            if (models.length === 0 || models.some(model => typeof model !== 'string' || !model.trim())) {
+                errors.push('Models must be a model ID or a list of model IDs');
+            }
+        }
+
+        if (rule.metadata !== undefined) {
+            const fields = ['responseTime', 'tokensPerSecond', 'tokens', 'cost'];
+            if (!rule.metadata || typeof rule.metadata !== 'object' ||
+                Object.keys(rule.metadata).some(key => !fields.includes(key) || typeof rule.metadata[key] !== 'number' || rule.metadata[key] < 0)) {
+                errors.push(`Metadata may only set non-negative numbers for ${fields.join(', ')}`);
+            }
+        }
+
+        if (Array.isArray(rule.value)) {
+            if (rule.value.length === 0 || rule.value.some(value => typeof value !== 'string')) {
+                errors.push('Value list must contain at least one string');
+            }
+        } else if (typeof rule.value !== 'string' && !(rule.type === 'composite' && rule.value === undefined)) {
+            errors.push('Value must be a string or a list of alternative strings');
+        }
+
+        if (rule.variantMode !== undefined && !MessageMatcher.VARIANT_MODES.includes(rule.variantMode)) {
+            errors.push(`Unknown variant mode "${rule.variantMode}"`);
+        }
+
+        if (rule.type !== undefined && !MessageMatcher.RESPONSE_TYPES.includes(rule.type)) {
+            errors.push(`Unknown response type "${rule.type}"`);
+        }
+
+        return errors.concat(this.validateResponseDetails(rule));
+    }
+
+    /**
+     * Validate the extra fields of rich response types
+     * @param {Object} rule - Rule to validate
+     * @returns {Array<string>} - Validation errors (empty if valid)
+     */
+    validateResponseDetails(rule) {
+        const errors = [];
+        const isList = (value) => Array.isArray(value) && value.length > 0 &&
+            value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+        const isText = (value) => typeof value === 'string' && value.trim() !== '';
+        const isOptionalText = (value) => value === undefined || typeof value === 'string';
+
+        if (rule.type === 'citations' || rule.sources !== undefined) {
+            if (!isList(rule.sources) || rule.sources.some(source => !isText(source.title) || !isOptionalText(source.url) || !isOptionalText(source.snippet))) {
+                errors.push('Sources must be a list of { title, url?, snippet? }');
+            }
+        }
+
+        if (rule.type === 'file' || rule.files !== undefined) {
+            if (!isList(rule.files) || rule.files.some(file => !isText(file.name) || !isOptionalText(file.mimeType) ||
+                !isOptionalText(file.content) || !isOptionalText(file.url) || (file.size !== undefined && typeof file.size !== 'number'))) {
+                errors.push('Files must be a list of { name, mimeType?, size?, content? or url? }');
+            }
+        }
+
+        if (rule.type === 'tool' || rule.toolCalls !== undefined) {
+            if (!isList(rule.toolCalls) || rule.toolCalls.some(call => !isText(call.name))) {
+                errors.push('Tool calls must be a list of { name, arguments?, result? }');
+            }
+        }
+
+        if ((rule.type === 'thinking' || rule.thinking !== undefined) && !isText(rule.thinking)) {
+            errors.push('Thinking must be the reasoning text');
+        }
+
+        if (rule.type === 'composite' || rule.parts !== undefined) {
+            if (!isList(rule.parts)) {
+                errors.push('Parts must be a list of { type, ... } blocks');
+            } else {
+                rule.parts.forEach((part, index) => {
+                    const error = this.validatePart(part);
+                    if (error) errors.push(`Part ${index + 1}: ${error}`);
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate one part of a composite response
+     * @param {Object} part - { type: 'text', value } | { type: 'image', value, alt?, caption? } |
+     *                        { type: 'table', columns, rows, caption? } | { type: 'code', value, language? }
+     * @returns {string|null} - Validation error, or null if valid
+     */
+    validatePart(part) {
+        const isCell = (value) => typeof value === 'string' || typeof value === 'number';
+
+        switch (part.type) {
+            case 'text':
+            case 'code':
+                return typeof part.value === 'string' ? null : `${part.type} parts need a string value`;
+            case 'image':
+                return typeof part.value === 'string' && part.value.trim() ? null : 'image parts need the image URL as value';
+            case 'table':
+                if (!Array.isArray(part.columns) || part.columns.length === 0 || !part.columns.every(isCell)) {
+                    return 'table parts need a list of column names';
+                }
+                return Array.isArray(part.rows) && part.rows.every(row => Array.isArray(row) && row.every(isCell)) ?
+                    null : 'table rows must be lists of cells';
+            default:
+                return `Unknown part type "${part.type}"`;
+        }
+    }
+    /**
+     * Resolve a rule's match mode, honoring the legacy "contains" flag
+     * @param {Object} rule - Rule to inspect
+     * @returns {string} - Match mode
+     */
+    getMatchMode(rule) {
+        if (rule.matchMode) return rule.matchMode;
+        return rule.contains ? 'contains' : 'exact';
+    }
+
+    /**
+     * Get the keyword list of a keywords rule
+     * @param {Object} rule - Rule with an array or comma-separated match
+     * @returns {Array<string>} - Non-empty keywords
+     */
+    getKeywords(rule) {
+        const keywords = Array.isArray(rule.match) ? rule.match : String(rule.match || '').split(',');
+        return keywords
+            .map(keyword => this.normalizeText(keyword, rule.caseSensitive))
+            .filter(Boolean);
+    }
+
+    /**
+     * Get a compiled (and cached) regular expression for a rule pattern
+     * @param {string} pattern - Regular expression source
+     * @param {boolean} caseSensitive - Whether matching is case sensitive
+     * @returns {RegExp} - Compiled expression
+     */
+    getRegex(pattern, caseSensitive = false) {
+        const flags = caseSensitive ? '' : 'i';
+        const key = `${flags}/${pattern}`;
+
+        if (!this.regexCache.has(key)) {
+            this.regexCache.set(key, new RegExp(pattern, flags));
+        }
+
+        return this.regexCache.get(key);
     }
 
     /**
      * Set up listener for localStorage changes (cross-tab sync)
      */
     setupStorageListener() {
+        if (this.storageListenerAttached) {
+            return;
+        }
+        this.storageListenerAttached = true;
+
         window.addEventListener('storage', (e) => {
             if (e.key === 'chatRules' && e.newValue) {
                 try {
-                    const data = JSON.parse(e.newValue);
-                    if (data.rules && Array.isArray(data.rules)) {
-                        this.rules = data.rules.sort((a, b) => (a.priority || 999) - (b.priority || 999));
+                    const data = this.normalizeRuleData(JSON.parse(e.newValue));
+                    if (data) {
+                        this.ruleSets = data.ruleSets;
+                        this.defaultRuleSet = data.defaultRuleSet;
+                        this.rulesSource = 'localStorage';
+                        if (!this.useRuleSet(this.activeRuleSet)) {
+                            this.useRuleSet(this.defaultRuleSet);
+                        }
                         console.log('Rules updated from localStorage (cross-tab sync):', this.rules.length, 'rules');
                         
                         // Notify UI about rule changes if needed
                         if (window.chatManager) {
-                            window.chatManager.showSystemMessage('Chat rules updated from admin panel.');
+                            window.chatManager.handleRulesUpdated();
                         }
                     }
                 } catch (error) {
@@ -178,6 +623,22 @@ class MessageMatcher {
      * @returns {Object|null} - Matching rule or null if no match
      */
     findMatch(userInput) {
+        const match = this.findBestMatch(userInput);
+        return match ? match.rule : null;
+    }
+
+    /**
+     * Find the best matching rule along with its score and regex captures
+     * Rules that require the current conversation state are tried first;
+     * general rules (without "requires") only answer when none of them match.
+     * Rules scoped to other models are ignored.
+     * @param {string} userInput - The user's message
+     * @param {Object} context - Matching context
+     * @param {string|null} context.state - Current conversation state of the chat
+     * @param {Object} context.model - Model the chat is using ({ id, ... })
+     * @returns {Object|null} - { rule, score, captures } or null if no match
+     */
+    findBestMatch(userInput, context = {}) {
         if (!this.isLoaded) {
             console.warn('Rules not loaded yet');
             return null;
@@ -186,12 +647,20 @@ class MessageMatcher {
         const input = userInput.trim();
         if (!input) return null;
 
-        // Try to find a matching rule
-        for (const rule of this.rules) {
-            if (this.matchesRule(input, rule)) {
-                console.log('Matched rule:', rule);
-                return rule;
-            }
+        const state = context.state || null;
+        const modelId = context.model ? context.model.id : null;
+        const candidates = this.rules.filter(rule => this.appliesToModel(rule, modelId));
+        const stateRules = state ? candidates.filter(rule => this.getRequiredStates(rule).includes(state)) : [];
+        const generalRules = candidates.filter(rule => this.getRequiredStates(rule).length === 0);
+
+        const match = this.selectBestRule(input, stateRules) || this.selectBestRule(input, generalRules);
+
+        if (match) {
+            console.log('Matched rule:', match.rule, 'score:', match.score.toFixed(3), 'state:', state);
+            return {
+                ...match,
+                captures: this.getCaptures(input, match.rule)
+            };
         }
 
         // Should not reach here if there's a proper catch-all rule
@@ -199,6 +668,83 @@ class MessageMatcher {
         return null;
     }
 
+    /**
+     * Score candidate rules and keep the best one
+     * On equal scores a model-scoped rule beats a rule for all models, then
+     * the higher-priority rule wins (rules are sorted by priority).
+     * @param {string} input - Trimmed user input
+     * @param {Array} rules - Candidate rules
+     * @returns {Object|null} - { rule, score } or null if none match
+     */
+    selectBestRule(input, rules) {
+        let bestRule = null;
+        let bestScore = -1;
+
+        for (const rule of rules) {
+            const score = this.scoreRule(input, rule);
+            if (score === null) continue;
+
+            const isScoped = this.getRuleModels(rule).length > 0;
+            const bestIsScoped = bestRule !== null && this.getRuleModels(bestRule).length > 0;
+
+            if (score > bestScore || (score === bestScore && isScoped && !bestIsScoped)) {
+                bestRule = rule;
+                bestScore = score;
+            }
+        }
+
+        return bestRule ? { rule: bestRule, score: bestScore } : null;
+    }
+
+    /**
+     * Get the model IDs a rule is scoped to
+     * @param {Object} rule - Rule to inspect
+     * @returns {Array<string>} - Model IDs (empty if the rule applies to every model)
+     */
+    getRuleModels(rule) {
+        if (!rule.models) return [];
+        return Array.isArray(rule.models) ? rule.models : [rule.models];
+    }
+
+    /**
+     * Check whether a rule applies to a model
+     * @param {Object} rule - Rule to check
+     * @param {string|null} modelId - Current model ID
+     * @returns {boolean} - Whether the rule may answer for this model
+     */
+    appliesToModel(rule, modelId) {
+        const models = this.getRuleModels(rule);
+        return models.length === 0 || models.includes(modelId);
+    }
+
+    /**
+     * Get the conversation states a rule requires
+     * @param {Object} rule - Rule to inspect
+     * @returns {Array<string>} - Required states (empty if the rule applies in any state)
+     */
+    getRequiredStates(rule) {
+        if (!rule.requires) return [];
+        return Array.isArray(rule.requires) ? rule.requires : [rule.requires];
+    }
+
+    /**
+     * Get regex capture groups for a matched rule
+     * @param {string} input - User input
+     * @param {Object} rule - Matched rule
+     * @returns {Object} - { groups: Array of positional captures, named: Object of named captures }
+     */
+    getCaptures(input, rule) {
+        if (this.getMatchMode(rule) !== 'regex' || typeof rule.match !== 'string') {
+            return { groups: [input], named: {} };
+        }
+
+        const result = this.getRegex(rule.match, rule.caseSensitive).exec(input);
+        return {
+            groups: result ? Array.from(result) : [input],
+            named: (result && result.groups) || {}
+        };
+    }
+
     /**
      * Check if input matches a specific rule
      * @param {string} input - User input
@@ -206,40 +752,212 @@ class MessageMatcher {
      * @returns {boolean} - Whether the rule matches
      */
     matchesRule(input, rule) {
+        return this.scoreRule(input, rule) !== null;
+    }
+
+    /**
+     * Score how well input matches a rule
+     * Modes: "exact" (default) compares strings as-is, "normalized" ignores
+     * punctuation, whitespace and Unicode differences, "fuzzy" accepts
+     * normalized input whose similarity reaches the rule's threshold.
+     * "contains", "startsWith", "regex" and "keywords" match part of the
+     * input and score higher the more of the input they cover, so a whole
+     * prompt match still beats a partial one.
+     * @param {string} input - User input
+     * @param {Object} rule - Rule to score
+     * @returns {number|null} - Score from 0 to 1, or null if the rule does not match
+     */
+    scoreRule(input, rule) {
         const { match, caseSensitive = false } = rule;
+        const mode = this.getMatchMode(rule);
 
-        // Handle catch-all rule
+        // Catch-all rule matches everything but loses to any real match
         if (match === '*') {
-            return true;
+            return 0;
         }
 
-        // Prepare input for comparison
-        const processedInput = caseSensitive ? input : input.toLowerCase();
-
-        // For exact matching system, we only support single string matches
-        if (typeof match === 'string') {
-            const processedMatch = caseSensitive ? match : match.toLowerCase();
-            return processedInput === processedMatch;
+        if (mode === 'keywords') {
+            return this.scoreKeywords(input, rule);
         }
 
         // Legacy support for array matches (should not be used in exact match system)
         if (Array.isArray(match)) {
             console.warn('Array matches are deprecated in exact match system:', match);
-            return match.some(term => {
-                const processedTerm = caseSensitive ? term : term.toLowerCase();
-                return processedInput === processedTerm;
-            });
+            const scores = match
+                .map(term => this.scoreRule(input, { ...rule, match: term }))
+                .filter(score => score !== null);
+            return scores.length > 0 ? Math.max(...scores) : null;
+        }
+
+        if (typeof match !== 'string') {
+            return null;
+        }
+
+        switch (mode) {
+            case 'normalized':
+                return this.normalizeText(input, caseSensitive) === this.normalizeText(match, caseSensitive) ? 1 : null;
+
+            case 'fuzzy': {
+                const threshold = typeof rule.threshold === 'number' ? rule.threshold : this.defaultThreshold;
+                const score = this.similarity(
+                    this.normalizeText(input, caseSensitive),
+                    this.normalizeText(match, caseSensitive)
+                );
+                return score >= threshold ? score : null;
+            }
+
+            case 'contains':
+            case 'startsWith': {
+                const processedInput = this.normalizeText(input, caseSensitive);
+                const processedMatch = this.normalizeText(match, caseSensitive);
+                if (!processedMatch) return null;
+
+                const found = mode === 'contains' ?
+                    processedInput.includes(processedMatch) :
+                    processedInput.startsWith(processedMatch);
+                return found ? this.coverageScore(processedMatch.length, processedInput.length) : null;
+            }
+
+            case 'regex': {
+                let result;
+                try {
+                    result = this.getRegex(match, caseSensitive).exec(input);
+                } catch (error) {
+                    console.warn('Invalid regex rule:', match, error);
+                    return null;
+                }
+                return result ? this.coverageScore(result[0].length, input.length) : null;
+            }
+
+            default: {
+                const processedInput = caseSensitive ? input : input.toLowerCase();
+                const processedMatch = caseSensitive ? match : match.toLowerCase();
+                return processedInput === processedMatch ? 1 : null;
+            }
+        }
+    }
+
+    /**
+     * Score a keywords rule ("all" requires every keyword, "any" at least one)
+     * @param {string} input - User input
+     * @param {Object} rule - Keywords rule
+     * @returns {number|null} - Score from 0.5 to 1, or null if the rule does not match
+     */
+    scoreKeywords(input, rule) {
+        const keywords = this.getKeywords(rule);
+        if (keywords.length === 0) return null;
+
+        // Pad with spaces so keywords only match whole words
+        const processedInput = ` ${this.normalizeText(input, rule.caseSensitive)} `;
+        const hits = keywords.filter(keyword => processedInput.includes(` ${keyword} `)).length;
+        const required = rule.keywordMode === 'any' ? 1 : keywords.length;
+
+        return hits >= required ? 0.5 + 0.5 * (hits / keywords.length) : null;
+    }
+
+    /**
+     * Score a partial match by how much of the input it covers
+     * @param {number} matchedLength - Length of the matched text
+     * @param {number} inputLength - Length of the whole input
+     * @returns {number} - Score from 0.5 to 1
+     */
+    coverageScore(matchedLength, inputLength) {
+        return 0.5 + 0.5 * Math.min(matchedLength / Math.max(inputLength, 1), 1);
+    }
+
+    /**
+     * Normalize text for tolerant comparison (pastes from Word, email, etc.)
+     * @param {string} text - Text to normalize
+     * @param {boolean} caseSensitive - Whether to preserve case
+     * @returns {string} - Normalized text
+     */
+    normalizeText(text, caseSensitive = false) {
+        let normalized = String(text)
+            .normalize('NFKC')
+            .replace(/[\u200B-\u200D\uFEFF\u00AD]/g, '') // Zero-width characters and soft hyphens
+            .replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'")
+            .replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"')
+            .replace(/[\u2010-\u2015\u2212]/g, '-')
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ') // Drop punctuation and symbols
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        if (!caseSensitive) {
+            normalized = normalized.toLowerCase();
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Compute similarity between two normalized strings
+     * Uses the better of Levenshtein ratio and token overlap, so both typos
+     * and reordered or missing words are tolerated.
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - Similarity from 0 to 1
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+        if (!a || !b) return 0;
+
+        const maxLength = Math.max(a.length, b.length);
+        const levenshteinRatio = 1 - this.levenshteinDistance(a, b) / maxLength;
+
+        return Math.max(levenshteinRatio, this.tokenOverlap(a, b));
+    }
+
+    /**
+     * Compute Levenshtein edit distance
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - Number of single-character edits
+     */
+    levenshteinDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + cost
+                );
+            }
+            previous = current;
         }
 
-        return false;
+        return previous[b.length];
+    }
+
+    /**
+     * Compute token overlap (Dice coefficient over unique words)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - Overlap from 0 to 1
+     */
+    tokenOverlap(a, b) {
+        const tokensA = new Set(a.split(' '));
+        const tokensB = new Set(b.split(' '));
+        let shared = 0;
+
+        tokensA.forEach(token => {
+            if (tokensB.has(token)) shared++;
+        });
+
+        return (2 * shared) / (tokensA.size + tokensB.size);
     }
 
     /**
      * Get response object from a matched rule
      * @param {Object} rule - The matched rule
+     * @param {Object} context - Template variables (see renderTemplate)
+     * @param {number} context.previousVariant - Variant shown before, when regenerating
      * @returns {Object} - Response object with type and value
      */
-    getResponse(rule) {
+    getResponse(rule, context = {}) {
         if (!rule) {
             return {
                 type: 'text',
@@ -248,21 +966,234 @@ class MessageMatcher {
             };
         }
 
-        return {
+        const variant = this.pickVariant(rule, context.previousVariant);
+        const response = {
             type: rule.type,
-            value: rule.value,
+            value: this.renderTemplate(this.getValues(rule)[variant], context),
             followup: rule.followup || []
         };
+
+        // Which alternative value was used, so regenerating can pick another
+        if (Array.isArray(rule.value)) {
+            response.variant = variant;
+        }
+
+        // Sources, files, tool calls, reasoning and parts of rich response types
+        Object.assign(response, this.getResponseDetails(rule));
+        if (typeof response.thinking === 'string') {
+            response.thinking = this.renderTemplate(response.thinking, context);
+        }
+        if (Array.isArray(response.parts)) {
+            response.parts = response.parts.map(part => this.renderPartTemplate(part, context));
+            if (rule.value === undefined) {
+                response.value = this.describeParts(response.parts);
+            }
+        }
+
+        // Which rule answered, so feedback can be aggregated per rule
+        response.rule = this.describeRule(rule);
+
+        // Optional fixed metadata (responseTime, tokensPerSecond, tokens, cost)
+        if (rule.metadata) {
+            response.metadata = rule.metadata;
+        }
+
+        // Only rules that define "sets" change the conversation state; null ends the flow
+        if (Object.prototype.hasOwnProperty.call(rule, 'sets')) {
+            response.nextState = rule.sets;
+        }
+
+        return response;
+    }
+
+    /**
+     * Fill in the placeholders of a composite response part's text
+     * @param {Object} part - Part from the rule
+     * @param {Object} context - Template variables (see renderTemplate)
+     * @returns {Object} - Copy of the part with its text rendered
+     */
+    renderPartTemplate(part, context) {
+        const rendered = { ...part };
+        if (part.type === 'text') {
+            rendered.value = this.renderTemplate(part.value, context);
+        }
+        if (typeof part.caption === 'string') {
+            rendered.caption = this.renderTemplate(part.caption, context);
+        }
+        return rendered;
+    }
+
+    /**
+     * Write a composite response's parts out as Markdown
+     * This is the message's text: what is streamed, copied, searched and exported.
+     * @param {Array<Object>} parts - Composite response parts
+     * @returns {string} - Markdown
+     */
+    describeParts(parts) {
+        const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+        return parts.map(part => {
+            switch (part.type) {
+                case 'image': {
+                    const image = `![${String(part.alt || part.caption || 'Image').replace(/[[\]]/g, '')}](<${part.value}>)`;
+                    return part.caption ? `${image}\n\n*${part.caption}*` : image;
+                }
+                case 'table': {
+                    const lines = [
+                        `| ${part.columns.map(cell).join(' | ')} |`,
+                        `|${part.columns.map(() => '---').join('|')}|`,
+                        ...part.rows.map(row => `| ${part.columns.map((_, index) => cell(row[index] ?? '')).join(' | ')} |`)
+                    ];
+                    return (part.caption ? `**${part.caption}**\n\n` : '') + lines.join('\n');
+                }
+                case 'code': {
+                    // A fence longer than any backtick run inside the code
+                    const longest = Math.max(2, ...(part.value.match(/`+/g) || []).map(run => run.length));
+                    const fence = '`'.repeat(longest + 1);
+                    return `${fence}${part.language || ''}\n${part.value}\n${fence}`;
+                }
+                default:
+                    return part.value || '';
+            }
+        }).filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Pick the rich response fields (sources, files, toolCalls, thinking, parts) of a
+     * rule, response or stored message
+     * @param {Object} source - Object that may carry the fields
+     * @returns {Object} - Only the fields that are set
+     */
+    getResponseDetails(source) {
+        const details = {};
+        MessageMatcher.DETAIL_FIELDS.forEach(field => {
+            if (source && source[field] !== undefined && source[field] !== null) {
+                details[field] = source[field];
+            }
+        });
+        return details;
+    }
+
+    /**
+     * Describe a rule well enough to recognize it in stored messages
+     * @param {Object} rule - Rule to describe
+     * @returns {Object} - { ruleSet, match, requires?, models? }
+     */
+    describeRule(rule) {
+        const description = {
+            ruleSet: this.activeRuleSet,
+            match: Array.isArray(rule.match) ? rule.match.join(', ') : String(rule.match)
+        };
+
+        const requires = this.getRequiredStates(rule);
+        if (requires.length > 0) {
+            description.requires = requires;
+        }
+
+        const models = this.getRuleModels(rule);
+        if (models.length > 0) {
+            description.models = models;
+        }
+
+        return description;
+    }
+
+    /**
+     * Get a rule's alternative values
+     * @param {Object} rule - Rule to inspect
+     * @returns {Array<string>} - Values (a single value becomes a one-item list;
+     *                          a composite rule without one has its parts written out)
+     */
+    getValues(rule) {
+        if (rule.value === undefined && rule.type === 'composite' && Array.isArray(rule.parts)) {
+            return [this.describeParts(rule.parts)];
+        }
+        return Array.isArray(rule.value) ? rule.value : [rule.value];
+    }
+
+    /**
+     * Choose which of a rule's values to answer with
+     * "rotate" (default) starts with the first value and moves to the next on
+     * each regenerate; "random" picks any value other than the previous one.
+     * @param {Object} rule - Matched rule
+     * @param {number|undefined} previousVariant - Variant shown before, if regenerating
+     * @returns {number} - Index into getValues(rule)
+     */
+    pickVariant(rule, previousVariant) {
+        const count = this.getValues(rule).length;
+        const hasPrevious = Number.isInteger(previousVariant);
+
+        if (count < 2) {
+            return 0;
+        }
+
+        if ((rule.variantMode || 'rotate') === 'random') {
+            if (!hasPrevious) {
+                return Math.floor(Math.random() * count);
+            }
+            // Pick among the other values
+            const offset = 1 + Math.floor(Math.random() * (count - 1));
+            return (previousVariant + offset) % count;
+        }
+
+        return hasPrevious ? (previousVariant + 1) % count : 0;
+    }
+
+    /**
+     * Replace {{placeholders}} in a response value
+     * Supports dotted context paths ({{user.name}}, {{chat.title}}, {{date}}),
+     * positional regex captures ({{0}} is the whole match, {{1}} the first group)
+     * and named regex groups ({{formNumber}}). Unknown placeholders are left as-is.
+     * @param {string} template - Response value
+     * @param {Object} context - Template variables, with optional captures from findBestMatch
+     * @returns {string} - Rendered value
+     */
+    renderTemplate(template, context = {}) {
+        if (typeof template !== 'string' || !template.includes('{{')) {
+            return template;
+        }
+
+        const captures = context.captures || { groups: [], named: {} };
+
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, key) => {
+            if (/^\d+$/.test(key)) {
+                const index = parseInt(key, 10);
+                return index < captures.groups.length ? (captures.groups[index] || '') : placeholder;
+            }
+
+            if (Object.prototype.hasOwnProperty.call(captures.named, key)) {
+                return captures.named[key] || '';
+            }
+
+            // Only the context's own fields, never inherited ones such as constructor
+            const value = key.split('.').reduce(
+                (current, part) => (current !== null && current !== undefined &&
+                    Object.prototype.hasOwnProperty.call(current, part) ? current[part] : undefined),
+                context
+            );
+
+            return value === undefined || value === null || typeof value === 'object' || typeof value === 'function' ?
+                placeholder : String(value);
+        });
     }
 
     /**
      * Process user input and return appropriate response
      * @param {string} userInput - The user's message
+     * @param {Object} context - Template variables (user, chat, model, date, state, ...)
      * @returns {Object} - Response object with type and value
      */
-    processInput(userInput) {
-        const matchedRule = this.findMatch(userInput);
-        return this.getResponse(matchedRule);
+    processInput(userInput, context = {}) {
+        const match = this.findBestMatch(userInput, context);
+        if (!match) {
+            return this.getResponse(null);
+        }
+
+        return this.getResponse(match.rule, {
+            ...context,
+            input: userInput.trim(),
+            captures: match.captures
+        });
     }
 
     /**
@@ -290,7 +1221,9 @@ class MessageMatcher {
         return {
             hasLocalStorage: !!localRules,
             rulesCount: this.rules.length,
-            source: localRules ? 'localStorage' : 'JSON file or fallback'
+            source: this.rulesSource || (localRules ? 'localStorage' : 'JSON file or fallback'),
+            activeRuleSet: this.activeRuleSet,
+            ruleSets: this.getRuleSetNames()
         };
     }
 }
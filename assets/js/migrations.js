@@ -0,0 +1,214 @@
+/**
+ * Migrations Module
+ * Upgrades stored chats and rules to the current schema, one version at a time
+ *
+ * To change the shape of stored data, bump CHATS_VERSION or RULES_VERSION and
+ * add a migration that upgrades data from the previous version. A migration
+ * receives a copy of the data and returns the upgraded copy. Callers take a
+ * backup before each step, so a failed or wrong migration can be undone.
+ */
+
+class SchemaMigrator {
+    /**
+     * Current version of the chat storage schema (stored in settings.version)
+     */
+    static get CHATS_VERSION() {
+        return 3;
+    }
+
+    /**
+     * Current version of the rule data schema (stored in version)
+     */
+    static get RULES_VERSION() {
+        return 2;
+    }
+
+    constructor() {
+        this.migrations = {
+            chats: [
+                {
+                    version: 3,
+                    description: 'Fill in chat and message fields added since 2.0',
+                    migrate: (data) => this.addMissingChatFields(data)
+                }
+            ],
+            rules: [
+                {
+                    version: 2,
+                    description: 'Store rules as named rule sets',
+                    migrate: (data) => this.convertToRuleSets(data)
+                }
+            ]
+        };
+    }
+
+    /**
+     * Get the current schema version for a kind of data
+     * @param {string} kind - 'chats' or 'rules'
+     * @returns {number} - Current version
+     */
+    getCurrentVersion(kind) {
+        return kind === 'chats' ? SchemaMigrator.CHATS_VERSION : SchemaMigrator.RULES_VERSION;
+    }
+
+    /**
+     * Read the schema version stored data was saved with
+     * @param {string} kind - 'chats' or 'rules'
+     * @param {Object} data - Stored data
+     * @returns {number} - Stored version
+     */
+    getVersion(kind, data) {
+        if (kind === 'chats') {
+            // Chats saved before versions were checked all carry '2.0'
+            return parseInt(data.settings && data.settings.version, 10) || 2;
+        }
+        return parseInt(data.version, 10) || 1;
+    }
+
+    /**
+     * Record the schema version on data
+     * @param {string} kind - 'chats' or 'rules'
+     * @param {Object} data - Data to update in place
+     * @param {number} version - Version the data now has
+     */
+    setVersion(kind, data, version) {
+        if (kind === 'chats') {
+            data.settings = { ...data.settings, version };
+        } else {
+            data.version = version;
+        }
+    }
+
+    /**
+     * List the migrations stored data still needs, oldest first
+     * @param {string} kind - 'chats' or 'rules'
+     * @param {Object} data - Stored data
+     * @returns {Array<Object>} - Steps as { kind, from, to, description, migrate }
+     */
+    getPendingMigrations(kind, data) {
+        let from = this.getVersion(kind, data);
+        if (from > this.getCurrentVersion(kind)) {
+            console.warn(`Stored ${kind} use schema version ${from}, newer than this app (${this.getCurrentVersion(kind)}); leaving them unchanged`);
+            return [];
+        }
+
+        return this.migrations[kind]
+            .filter(migration => migration.version > from)
+            .sort((a, b) => a.version - b.version)
+            .map(migration => {
+                const step = { kind, from, to: migration.version, description: migration.description, migrate: migration.migrate };
+                from = migration.version;
+                return step;
+            });
+    }
+
+    /**
+     * Run one migration step on a copy of the data
+     * @param {Object} step - Step from getPendingMigrations
+     * @param {Object} data - Data at step.from
+     * @returns {Object} - Upgraded copy at step.to
+     */
+    runMigration(step, data) {
+        const migrated = step.migrate(JSON.parse(JSON.stringify(data)));
+        this.setVersion(step.kind, migrated, step.to);
+        console.log(`Migrated ${step.kind} from version ${step.from} to ${step.to}: ${step.description}`);
+        return migrated;
+    }
+
+    /**
+     * Run all pending migrations without taking backups (for files that are
+     * read but not stored as they are, like imports and replies.json)
+     * @param {string} kind - 'chats' or 'rules'
+     * @param {Object} data - Data in any known version
+     * @returns {Object} - Data at the current version
+     */
+    migrate(kind, data) {
+        return this.getPendingMigrations(kind, data)
+            .reduce((current, step) => this.runMigration(step, current), data);
+    }
+
+    /**
+     * Chats v3: add the fields features introduced after 2.0 rely on, so older
+     * history loads with the same shape as new chats
+     * @param {Object} data - Chat storage at version 2
+     * @returns {Object} - Chat storage at version 3
+     */
+    addMissingChatFields(data) {
+        let counter = 0;
+        const fillMessage = (message) => {
+            if (!message || typeof message !== 'object') return message;
+            const filled = {
+                id: `msg_migrated_${Date.now()}_${counter++}`,
+                timestamp: new Date(0).toISOString(),
+                ...message
+            };
+            if (filled.type === 'assistant') {
+                filled.responseType = filled.responseType || 'text';
+                filled.followup = Array.isArray(filled.followup) ? filled.followup : [];
+            }
+            return filled;
+        };
+
+        data.chats = (Array.isArray(data.chats) ? data.chats : []).map(chat => {
+            // Leave malformed chats for validation to report instead of guessing
+            if (!chat || typeof chat !== 'object' || !Array.isArray(chat.messages)) return chat;
+
+            const messages = chat.messages.map(fillMessage);
+            const migrated = {
+                state: null,
+                model: null,
+                ruleSet: null,
+                pinned: false,
+                folderId: null,
+                archived: false,
+                deletedAt: null,
+                created: chat.updated || new Date().toISOString(),
+                ...chat,
+                title: chat.title || 'New Chat',
+                messages,
+                messageCount: messages.length
+            };
+            migrated.updated = migrated.updated || migrated.created;
+
+            if (chat.branches && typeof chat.branches === 'object') {
+                Object.values(migrated.branches).forEach(group => {
+                    if (group && Array.isArray(group.variants)) {
+                        group.variants = group.variants.map(variant => Array.isArray(variant) ? variant.map(fillMessage) : variant);
+                    }
+                });
+            }
+            return migrated;
+        });
+
+        data.bookmarks = Array.isArray(data.bookmarks) ? data.bookmarks : [];
+        data.folders = Array.isArray(data.folders) ? data.folders : [];
+        data.currentChatId = data.currentChatId || null;
+        data.settings = data.settings || {};
+        return data;
+    }
+
+    /**
+     * Rules v2: a top-level rules array becomes the rule set named by
+     * defaultRuleSet, next to any rule sets already stored
+     * @param {Object} data - Rule data at version 1
+     * @returns {Object} - Rule data at version 2
+     */
+    convertToRuleSets(data) {
+        let ruleSets = Array.isArray(data.ruleSets) ? data.ruleSets : [];
+        if (Array.isArray(data.rules)) {
+            // Like normalizeRuleData, the top-level rules win over a set with the same name
+            const name = data.defaultRuleSet || MessageMatcher.DEFAULT_RULE_SET;
+            ruleSets = [{ name, rules: data.rules }, ...ruleSets.filter(set => !set || set.name !== name)];
+        }
+
+        const { rules, ...rest } = data;
+        return {
+            ...rest,
+            defaultRuleSet: data.defaultRuleSet || (ruleSets[0] && ruleSets[0].name) || MessageMatcher.DEFAULT_RULE_SET,
+            ruleSets
+        };
+    }
+}
+
+// Create global instance
+window.SchemaMigrator = SchemaMigrator;
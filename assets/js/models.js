@@ -0,0 +1,113 @@
+/**
+ * Model Registry Module
+ * Handles the list of mock models (name, icon, latency profile) from models.json
+ */
+
+class ModelRegistry {
+    constructor() {
+        this.models = [];
+        this.defaultModelId = null;
+        this.isLoaded = false;
+    }
+
+    /**
+     * Get fallback models (used when models.json cannot be loaded)
+     */
+    getFallbackModels() {
+        return {
+            "defaultModel": "llama-4-scout",
+            "models": [
+                {
+                    "id": "llama-4-scout",
+                    "name": "Meta Llama 4 Scout 17B Instruct",
+                    "icon": "🤖",
+                    "latency": {
+                        "tokensPerSecond": 30,
+                        "firstTokenDelay": 300
+                    }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Load models from models.json, falling back to the embedded list
+     * @returns {Promise<void>}
+     */
+    async loadModels() {
+        try {
+            const response = await fetch('assets/data/models.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.setModels(await response.json());
+            console.log('Models loaded successfully from JSON:', this.models.length, 'models');
+        } catch (error) {
+            console.error('Failed to load models from JSON, using fallback:', error);
+            this.setModels(this.getFallbackModels());
+            console.log('Fallback models loaded:', this.models.length, 'models');
+        }
+
+        this.isLoaded = true;
+    }
+
+    /**
+     * Replace the registry contents, skipping invalid model entries
+     * @param {Object} data - { models: Array, defaultModel: string }
+     */
+    setModels(data) {
+        const models = Array.isArray(data.models) ? data.models : [];
+        this.models = models.filter(model => {
+            const valid = model && typeof model.id === 'string' && model.id && typeof model.name === 'string';
+            if (!valid) {
+                console.warn('Skipping invalid model:', model);
+            }
+            return valid;
+        });
+
+        if (this.models.length === 0) {
+            this.models = this.getFallbackModels().models;
+        }
+
+        this.defaultModelId = this.models.some(model => model.id === data.defaultModel) ?
+            data.defaultModel :
+            this.models[0].id;
+    }
+
+    /**
+     * Get a model by ID, falling back to the default model
+     * @param {string|null} modelId - Model ID
+     * @returns {Object} - Model object
+     */
+    getModel(modelId) {
+        return this.models.find(model => model.id === modelId) || this.getDefaultModel();
+    }
+
+    /**
+     * Check whether a model ID exists in the registry
+     * @param {string} modelId - Model ID
+     * @returns {boolean} - Whether the model exists
+     */
+    hasModel(modelId) {
+        return this.models.some(model => model.id === modelId);
+    }
+
+    /**
+     * Get the default model
+     * @returns {Object} - Default model object
+     */
+    getDefaultModel() {
+        return this.models.find(model => model.id === this.defaultModelId) || this.models[0];
+    }
+
+    /**
+     * Get all models
+     * @returns {Array} - Array of model objects
+     */
+    getAllModels() {
+        return this.models;
+    }
+}
+
+// Create global instance
+window.ModelRegistry = ModelRegistry;
@@ -0,0 +1,295 @@
+/**
+ * Sanitize Module
+ * The one place where HTML built from strings is turned into page content
+ *
+ * Modules build markup with template strings, escaping every value they
+ * interpolate with escapeHtml, and insert it with setHtml or insertHtml instead
+ * of innerHTML. Those parse the markup into an inert template and keep only
+ * allowed elements and attributes, so a value that slipped through unescaped
+ * (a rule from an imported file, a chat title) still cannot run script: event
+ * handler attributes, script-like elements and javascript: URLs are removed.
+ *
+ * The Content Security Policy in index.html and admin.html is the second line
+ * of defence: it only runs scripts from this site's files, so inline handlers
+ * like onclick="..." are ignored and modules bind events with addEventListener.
+ */
+
+class HtmlSanitizer {
+    constructor() {
+        // HTML elements kept with their allowed attributes
+        this.allowedTags = new Set([
+            'a', 'abbr', 'b', 'blockquote', 'br', 'button', 'caption', 'code', 'col', 'colgroup', 'dd', 'del',
+            'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+            'i', 'img', 'input', 'kbd', 'label', 'li', 'mark', 'ol', 'optgroup', 'option', 'p', 'pre', 's',
+            'section', 'select', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+            'textarea', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+        ]);
+
+        // Elements removed together with their content; other unknown elements are replaced by their content
+        this.droppedTags = new Set([
+            'applet', 'base', 'embed', 'frame', 'frameset', 'iframe', 'link', 'math', 'meta', 'noscript',
+            'object', 'script', 'style', 'svg', 'template', 'title'
+        ]);
+
+        this.allowedAttributes = new Set([
+            'alt', 'checked', 'class', 'colspan', 'disabled', 'download', 'draggable', 'for', 'height', 'hidden', 'href',
+            'id', 'lang', 'loading', 'max', 'maxlength', 'min', 'name', 'open', 'placeholder', 'readonly',
+            'rel', 'role', 'rows', 'rowspan', 'scope', 'selected', 'src', 'start', 'step', 'tabindex',
+            'target', 'title', 'type', 'value', 'width'
+        ]);
+
+        this.urlAttributes = new Set(['href', 'src', 'xlink:href', 'action', 'formaction']);
+
+        // SVG elements allowed when inserting a diagram (setHtml with { svg: true })
+        this.svgTags = new Set([
+            'svg', 'g', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'tspan',
+            'textpath', 'defs', 'marker', 'clippath', 'lineargradient', 'radialgradient', 'stop', 'pattern',
+            'mask', 'symbol', 'use', 'title', 'desc', 'style'
+        ]);
+        this.svgNamespace = 'http://www.w3.org/2000/svg';
+    }
+
+    /**
+     * Escape text for use in HTML, inside elements or quoted attribute values
+     * @param {*} text - Text to escape (null and undefined become empty)
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Allow only safe URL schemes
+     * @param {string} url - URL from a link or image
+     * @param {boolean} isImage - Whether embedded raster images (data:image/...) are allowed
+     * @returns {string|null} - URL to use, or null if it is not allowed
+     */
+    sanitizeUrl(url, isImage = false) {
+        const value = String(url || '').trim();
+        // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+        const normalized = value.replace(/[\u0000- ]/g, '').toLowerCase();
+
+        if (/^(https?:|mailto:|tel:)/.test(normalized)) return value;
+        if (isImage && /^data:image\/(png|jpe?g|gif|webp);base64,/.test(normalized)) return value;
+        if (/^[a-z][a-z0-9+.-]*:/.test(normalized)) return null; // Any other scheme
+        return value; // Relative URL or #anchor
+    }
+
+    /**
+     * Parse markup and keep only allowed elements and attributes
+     * @param {string} html - Markup to clean
+     * @param {Object} options - { svg: true } to also keep SVG drawings and inline styles, and
+     *   styleScope: the id of the drawing's root element, to keep <style> rules that only apply inside it
+     * @returns {DocumentFragment} - Clean content, ready to insert
+     */
+    sanitize(html, options = {}) {
+        // Template content is inert: nothing in it loads or runs while it is cleaned
+        const template = document.createElement('template');
+        template.innerHTML = String(html);
+        this.cleanChildren(template.content, options);
+        return template.content;
+    }
+
+    /**
+     * Replace an element's content with sanitized markup
+     * @param {HTMLElement} element - Element to fill
+     * @param {string} html - Markup
+     * @param {Object} options - Options for sanitize()
+     */
+    setHtml(element, html, options = {}) {
+        element.replaceChildren(this.sanitize(html, options));
+    }
+
+    /**
+     * Insert sanitized markup relative to an element, like insertAdjacentHTML
+     * @param {HTMLElement} element - Reference element
+     * @param {string} position - 'beforebegin', 'afterbegin', 'beforeend' or 'afterend'
+     * @param {string} html - Markup
+     * @param {Object} options - Options for sanitize()
+     */
+    insertHtml(element, position, html, options = {}) {
+        const content = this.sanitize(html, options);
+        switch (position) {
+            case 'beforebegin':
+                element.before(content);
+                break;
+            case 'afterbegin':
+                element.prepend(content);
+                break;
+            case 'afterend':
+                element.after(content);
+                break;
+            default:
+                element.append(content);
+        }
+    }
+
+    /**
+     * Clean the children of a node in place
+     * @param {Node} parent - Node whose children are checked
+     * @param {Object} options - Options for sanitize()
+     */
+    cleanChildren(parent, options) {
+        [...parent.childNodes].forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove(); // Comments and processing instructions
+                return;
+            }
+
+            const name = node.localName.toLowerCase();
+            const isSvg = node.namespaceURI === this.svgNamespace;
+            const allowed = isSvg ? options.svg && this.svgTags.has(name) : this.allowedTags.has(name);
+
+            if (!allowed) {
+                if (isSvg || this.droppedTags.has(name)) {
+                    node.remove();
+                } else {
+                    this.cleanChildren(node, options);
+                    node.replaceWith(...node.childNodes);
+                }
+                return;
+            }
+
+            this.cleanAttributes(node, isSvg, options);
+
+            if (isSvg && name === 'style') {
+                // Inserted inline, a diagram's styles would apply to the whole page
+                const css = this.scopeStyles(node.textContent, options.styleScope);
+                if (css) {
+                    node.textContent = css;
+                } else {
+                    node.remove();
+                }
+                return;
+            }
+
+            this.cleanChildren(node, options);
+        });
+    }
+
+    /**
+     * Keep only the style rules that apply inside one drawing
+     * Mermaid prefixes every rule with the diagram's id; other rules, at-rules
+     * and declarations that could load something are dropped.
+     * @param {string} css - Content of a <style> element
+     * @param {string} scope - Id of the drawing's root element
+     * @returns {string} - Rules that are kept, or '' if none
+     */
+    scopeStyles(css, scope) {
+        const text = String(css).replace(/\/\*[\s\S]*?\*\//g, '');
+        if (!scope || text.includes('\\')) return ''; // Escapes could hide anything below
+
+        const prefix = `#${scope}`;
+        const rules = [];
+        let depth = 0;
+        let start = 0;
+        let selector = '';
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"' || char === "'") {
+                const end = text.indexOf(char, i + 1);
+                if (end === -1) break; // Unterminated string
+                i = end;
+            } else if (char === '{') {
+                if (depth === 0) {
+                    selector = text.slice(start, i).trim();
+                    start = i + 1;
+                }
+                depth++;
+            } else if (char === '}') {
+                if (depth === 0) break; // Unbalanced
+                depth--;
+                if (depth === 0) {
+                    rules.push({ selector, body: text.slice(start, i) });
+                    start = i + 1;
+                }
+            } else if (char === ';' && depth === 0) {
+                start = i + 1; // Statement at-rules such as @import
+            }
+        }
+
+        return rules
+            .filter(rule => {
+                const selectors = rule.selector.split(',').map(part => part.trim());
+                return selectors.every(part =>
+                    part.startsWith(prefix) &&
+                    !/^[\w-]/.test(part.slice(prefix.length)) &&
+                    !/[~+]/.test(part) // Sibling combinators reach outside the drawing
+                ) && !rule.body.includes('{') && this.isSafeCss(rule.body);
+            })
+            .map(rule => `${rule.selector}{${rule.body}}`)
+            .join('');
+    }
+
+    /**
+     * Check that style declarations cannot load anything or run script
+     * @param {string} css - Declarations, from a style attribute or a rule
+     * @returns {boolean} - Whether they can be kept
+     */
+    isSafeCss(css) {
+        if (/[\\@<]|expression|binding|behavior|image-set/i.test(css)) return false;
+        return this.hasOnlyLocalUrls(css);
+    }
+
+    /**
+     * Check that every url() in a value points inside the document (markers, gradients)
+     * @param {string} value - Attribute value or declarations
+     * @returns {boolean} - Whether there is no url() to another address
+     */
+    hasOnlyLocalUrls(value) {
+        const urls = String(value).match(/url\s*\(/gi) || [];
+        const local = String(value).match(/url\s*\(\s*['"]?#/gi) || [];
+        return urls.length === local.length;
+    }
+
+    /**
+     * Remove attributes that are not allowed, and URLs with unsafe schemes
+     * @param {Element} element - Element to clean
+     * @param {boolean} isSvg - Whether the element is an SVG element
+     * @param {Object} options - Options for sanitize()
+     */
+    cleanAttributes(element, isSvg, options) {
+        [...element.attributes].forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            let allowed = !name.startsWith('on') && (
+                isSvg ||
+                (options.svg && name === 'style') ||
+                this.allowedAttributes.has(name) ||
+                name.startsWith('aria-') ||
+                name.startsWith('data-')
+            );
+
+            if (allowed && name === 'style') {
+                allowed = this.isSafeCss(attribute.value);
+            } else if (allowed && isSvg) {
+                // Presentation attributes such as fill="url(...)" may only reference the drawing
+                allowed = this.hasOnlyLocalUrls(attribute.value);
+            }
+
+            if (allowed && this.urlAttributes.has(name)) {
+                // SVG may only point at its own parts (markers, gradients)
+                allowed = isSvg ?
+                    attribute.value.trim().startsWith('#') :
+                    this.sanitizeUrl(attribute.value, element.localName === 'img') !== null;
+            }
+
+            if (!allowed) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+
+        if (element.localName === 'a' && element.getAttribute('target') === '_blank') {
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+}
+
+// Create global instance
+window.HtmlSanitizer = HtmlSanitizer;
@@ -5,6 +5,7 @@
 
 class SidebarManager {
     constructor() {
+        this.sanitizer = new HtmlSanitizer();
         this.sidebar = null;
         this.chatHistory = null;
         this.emptyState = null;
@@ -12,6 +13,18 @@ class SidebarManager {
         this.clearAllBtn = null;
         this.sidebarToggle = null;
         this.currentChatTitle = null;
+        this.savedSection = null;
+        this.savedList = null;
+        this.searchInput = null;
+        this.searchFilters = null;
+        this.searchResults = null;
+        this.searchTimer = null;
+        this.searchLimit = 50; // Most search results listed
+        this.chatsHeader = null;
+        this.newFolderBtn = null;
+        this.draggedChatId = null;
+        this.emptyTrashBtn = null;
+        this.view = 'chats'; // 'chats', 'archive' or 'trash'
         
         this.storageManager = null;
         this.chatManager = null;
@@ -37,6 +50,14 @@ class SidebarManager {
         this.clearAllBtn = document.getElementById('clearAllBtn');
         this.sidebarToggle = document.getElementById('sidebarToggle');
         this.currentChatTitle = document.getElementById('currentChatTitle');
+        this.savedSection = document.getElementById('savedSection');
+        this.savedList = document.getElementById('savedList');
+        this.searchInput = document.getElementById('chatSearch');
+        this.searchFilters = document.getElementById('searchFilters');
+        this.searchResults = document.getElementById('searchResults');
+        this.chatsHeader = document.getElementById('chatsHeader');
+        this.newFolderBtn = document.getElementById('newFolderBtn');
+        this.emptyTrashBtn = document.getElementById('emptyTrashBtn');
 
         if (!this.sidebar || !this.chatHistory || !this.newChatBtn) {
             console.error('Required sidebar DOM elements not found');
@@ -68,10 +89,45 @@ class SidebarManager {
         // Clear all button
         if (this.clearAllBtn) {
             this.clearAllBtn.addEventListener('click', () => {
-                this.showClearAllConfirmation();
+                this.clearAllChats();
             });
         }
 
+        // Chats / Archive / Trash views
+        document.querySelectorAll('.sidebar__nav-item[data-view]').forEach(item => {
+            item.addEventListener('click', () => this.showView(item.dataset.view));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.showView(item.dataset.view);
+                }
+            });
+        });
+
+        if (this.emptyTrashBtn) {
+            this.emptyTrashBtn.addEventListener('click', () => {
+                this.confirmAction(this.emptyTrashBtn, 'Click again to empty', () => this.emptyTrash());
+            });
+        }
+
+        // New folder button
+        if (this.newFolderBtn) {
+            this.newFolderBtn.addEventListener('click', () => {
+                this.createFolder();
+            });
+        }
+
+        // Dropping a chat on the list outside any folder takes it out of its folder
+        this.makeDropTarget(this.chatHistory, (chatId) => {
+            this.storageManager.moveChatToFolder(chatId, null);
+            this.storageManager.setChatPinned(chatId, false);
+        });
+
+        // Search across all chats
+        if (this.searchInput) {
+            this.setupSearch();
+        }
+
         // Sidebar toggle for mobile
         if (this.sidebarToggle) {
             this.sidebarToggle.addEventListener('click', () => {
@@ -90,71 +146,733 @@ class SidebarManager {
         });
     }
 
+    /**
+     * Set up the search box, its filters and the Search nav item
+     */
+    setupSearch() {
+        this.searchInput.addEventListener('input', () => {
+            // Wait for a pause in typing before searching
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(), 150);
+        });
+
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.clearSearch();
+            }
+        });
+
+        ['searchRole', 'searchFrom', 'searchTo'].forEach(id => {
+            const filter = document.getElementById(id);
+            if (filter) {
+                filter.addEventListener('change', () => this.runSearch());
+            }
+        });
+
+        const searchNavItem = document.getElementById('searchNavItem');
+        if (searchNavItem) {
+            const focusSearch = () => {
+                this.expandSidebar();
+                this.searchInput.focus();
+            };
+            searchNavItem.addEventListener('click', focusSearch);
+            searchNavItem.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    focusSearch();
+                }
+            });
+        }
+    }
+
+    /**
+     * Get the active search filters
+     * @returns {Object} - Filters for StorageManager.searchMessages
+     */
+    getSearchFilters() {
+        const role = document.getElementById('searchRole');
+        const from = document.getElementById('searchFrom');
+        const to = document.getElementById('searchTo');
+
+        return {
+            type: role && role.value !== 'all' ? role.value : null,
+            // Date inputs give local calendar days; include the whole "to" day
+            from: from && from.value ? new Date(`${from.value}T00:00:00`) : null,
+            to: to && to.value ? new Date(`${to.value}T23:59:59.999`) : null
+        };
+    }
+
+    /**
+     * Search all chats and show results instead of the chat list
+     */
+    runSearch() {
+        const query = this.searchInput.value.trim();
+        const searching = query.length > 0;
+
+        this.searchFilters.hidden = !searching;
+        this.searchResults.hidden = !searching;
+        this.updateEmptyState();
+        this.renderBookmarks();
+
+        if (!searching) {
+            this.searchResults.replaceChildren();
+            return;
+        }
+
+        // One result more than is listed tells whether there are more
+        const found = this.storageManager.searchMessages(query, this.getSearchFilters(), this.searchLimit + 1);
+        const results = found.slice(0, this.searchLimit);
+        const more = found.length > results.length;
+        const terms = query.split(/\s+/).filter(Boolean);
+
+        this.sanitizer.setHtml(this.searchResults, `
+            <p class="sidebar__search-summary" role="status">
+                ${results.length === 0 ? 'No messages found' : `${results.length}${more ? '+' : ''} message${results.length === 1 ? '' : 's'} found`}
+            </p>
+        `);
+
+        results.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'sidebar__chat-item';
+            item.setAttribute('role', 'listitem');
+            item.setAttribute('tabindex', '0');
+            this.sanitizer.setHtml(item, `
+                <div class="sidebar__chat-content">
+                    <div class="sidebar__chat-title">${this.escapeHtml(result.chatTitle)}</div>
+                    <div class="sidebar__chat-excerpt">${this.buildSnippet(result.content, terms)}</div>
+                    <div class="sidebar__chat-meta">
+                        <span class="sidebar__chat-date">${result.type === 'user' ? 'You' : 'Assistant'}</span>
+                        <span class="sidebar__chat-count">${this.formatDate(result.timestamp)}</span>
+                    </div>
+                </div>
+            `);
+
+            const open = () => this.openMessage(result.chatId, result.messageId);
+            item.addEventListener('click', open);
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    open();
+                }
+            });
+
+            this.searchResults.appendChild(item);
+        });
+    }
+
+    /**
+     * Check whether search results are currently shown
+     * @returns {boolean} - Whether a search query is entered
+     */
+    isSearching() {
+        return Boolean(this.searchInput && this.searchInput.value.trim());
+    }
+
+    /**
+     * Clear the search and show the chat list again
+     */
+    clearSearch() {
+        this.searchInput.value = '';
+        this.runSearch();
+    }
+
+    /**
+     * Build an HTML snippet around the first match with all terms highlighted
+     * @param {string} content - Message text
+     * @param {Array<string>} terms - Search terms
+     * @returns {string} - Escaped snippet HTML with <mark> highlights
+     */
+    buildSnippet(content, terms) {
+        const text = content.replace(/\s+/g, ' ');
+        const lowerText = text.toLowerCase();
+        const firstMatch = Math.min(...terms.map(term => {
+            const index = lowerText.indexOf(term.toLowerCase());
+            return index === -1 ? Infinity : index;
+        }));
+
+        const start = Number.isFinite(firstMatch) ? Math.max(0, firstMatch - 40) : 0;
+        const end = Math.min(text.length, start + 140);
+        let snippet = text.slice(start, end);
+        if (start > 0) snippet = '…' + snippet;
+        if (end < text.length) snippet += '…';
+
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return snippet
+            .split(pattern)
+            .map((part, i) => (i % 2 === 1 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)))
+            .join('');
+    }
+
     /**
      * Load and display chat history
      */
     loadChatHistory() {
-        const chats = this.storageManager.getAllChats();
-        this.chatHistory.innerHTML = '';
+        if (this.view !== 'chats') {
+            this.loadStoredChats();
+            return;
+        }
 
-        chats.forEach(chat => {
-            this.addChatToHistory(chat);
+        const chats = this.storageManager.getAllChats()
+            .filter(chat => !chat.archived)
+            .sort((a, b) => new Date(b.updated) - new Date(a.updated));
+        const folders = this.storageManager.getFolders();
+        const folderIds = folders.map(f => f.id);
+        this.chatHistory.replaceChildren();
+
+        // Pinned chats first, then folders, then the rest grouped by last activity
+        const pinned = chats.filter(chat => chat.pinned);
+        if (pinned.length > 0) {
+            const group = this.createChatGroup('📌 Pinned');
+            pinned.forEach(chat => this.addChatToHistory(chat, group.list));
+            this.makeDropTarget(group.element, (chatId) => {
+                this.storageManager.setChatPinned(chatId, true);
+            });
+        }
+
+        folders.forEach(folder => {
+            this.addFolderToHistory(folder, chats.filter(chat => !chat.pinned && chat.folderId === folder.id));
         });
 
+        let group = null;
+        chats
+            .filter(chat => !chat.pinned && !folderIds.includes(chat.folderId))
+            .forEach(chat => {
+                const label = this.getDateGroup(chat.updated);
+                if (!group || group.label !== label) {
+                    group = this.createChatGroup(label);
+                }
+                this.addChatToHistory(chat, group.list);
+            });
+
+        this.updateEmptyState();
+        this.renderBookmarks();
+    }
+
+    /**
+     * Get the IDs of the chats listed in the current view
+     * @returns {Array<string>} - Chat IDs, as ordered in the sidebar
+     */
+    getListedChatIds() {
+        return [...this.chatHistory.querySelectorAll('.sidebar__chat-item[data-chat-id]')]
+            .map(item => item.dataset.chatId);
+    }
+
+    /**
+     * Show archived or trashed chats instead of the chat list
+     */
+    loadStoredChats() {
+        const inTrash = this.view === 'trash';
+        const chats = inTrash ? this.storageManager.getTrashedChats() : this.storageManager.getArchivedChats();
+        this.chatHistory.replaceChildren();
+
+        if (chats.length > 0) {
+            const days = this.storageManager.getSettings().trashRetentionDays;
+            const hint = document.createElement('p');
+            hint.className = 'sidebar__view-hint';
+            hint.textContent = inTrash ?
+                (days ? `Chats are deleted permanently after ${days} days in the trash.` : 'Chats stay here until the trash is emptied.') :
+                'Archived chats are hidden from the chat list but still searchable.';
+            this.chatHistory.appendChild(hint);
+
+            const group = this.createChatGroup(inTrash ? 'Deleted chats' : 'Archived chats');
+            chats.forEach(chat => this.addChatToHistory(chat, group.list));
+        }
+
         this.updateEmptyState();
+        this.renderBookmarks();
+    }
+
+    /**
+     * Switch the sidebar between the chat list, archive and trash
+     * @param {string} view - 'chats', 'archive' or 'trash'
+     */
+    showView(view) {
+        this.view = view;
+
+        document.querySelectorAll('.sidebar__nav-item[data-view]').forEach(item => {
+            const active = item.dataset.view === view;
+            item.classList.toggle('sidebar__nav-item--active', active);
+            item.setAttribute('aria-pressed', String(active));
+        });
+
+        const headings = { chats: 'Chats', archive: 'Archive', trash: 'Trash' };
+        const heading = document.getElementById('chatsHeading');
+        if (heading) heading.textContent = headings[view];
+        if (this.newFolderBtn) this.newFolderBtn.hidden = view !== 'chats';
+        if (this.emptyTrashBtn) this.emptyTrashBtn.hidden = view !== 'trash';
+
+        if (this.isSearching()) {
+            this.clearSearch();
+        }
+        this.loadChatHistory();
+    }
+
+    /**
+     * Create a titled group of chats in the history list
+     * @param {string} label - Group heading
+     * @returns {Object} - { label, element, list } for the new group
+     */
+    createChatGroup(label) {
+        const element = document.createElement('section');
+        element.className = 'sidebar__chat-group';
+        this.sanitizer.setHtml(element, `
+            <h3 class="sidebar__group-title">${this.escapeHtml(label)}</h3>
+            <div class="sidebar__group-list" role="list" aria-label="${this.escapeHtml(label)}"></div>
+        `);
+
+        this.chatHistory.appendChild(element);
+        return { label, element, list: element.querySelector('.sidebar__group-list') };
+    }
+
+    /**
+     * Get the date group a chat belongs to, as Open WebUI labels them
+     * @param {string} dateString - ISO date of the chat's last activity
+     * @returns {string} - Group label
+     */
+    getDateGroup(dateString) {
+        const date = new Date(dateString);
+        const daysAgo = (days) => {
+            const start = new Date();
+            start.setHours(0, 0, 0, 0);
+            start.setDate(start.getDate() - days);
+            return start;
+        };
+
+        if (date >= daysAgo(0)) return 'Today';
+        if (date >= daysAgo(1)) return 'Yesterday';
+        if (date >= daysAgo(7)) return 'Previous 7 days';
+        if (date >= daysAgo(30)) return 'Previous 30 days';
+        if (date.getFullYear() === new Date().getFullYear()) {
+            return date.toLocaleDateString('en-US', { month: 'long' });
+        }
+        return String(date.getFullYear());
+    }
+
+    /**
+     * Add a folder and its chats to the history display
+     * @param {Object} folder - Folder object
+     * @param {Array} chats - Chats in the folder, newest first
+     */
+    addFolderToHistory(folder, chats) {
+        const folderElement = document.createElement('section');
+        folderElement.className = 'sidebar__folder';
+        folderElement.setAttribute('data-folder-id', folder.id);
+
+        this.sanitizer.setHtml(folderElement, `
+            <div class="sidebar__folder-header" role="button" tabindex="0" aria-expanded="${!folder.collapsed}">
+                <span class="sidebar__folder-toggle" aria-hidden="true">${folder.collapsed ? '▸' : '▾'}</span>
+                <span class="sidebar__folder-name">${this.escapeHtml(folder.name)}</span>
+                <span class="sidebar__folder-count">${chats.length}</span>
+                <button class="sidebar__chat-action" data-action="rename" aria-label="Rename folder">✏️</button>
+                <button class="sidebar__chat-delete" aria-label="Delete folder">
+                    <span class="sidebar__chat-delete-icon">×</span>
+                </button>
+            </div>
+            <div class="sidebar__folder-chats" role="list" aria-label="${this.escapeHtml(folder.name)}" ${folder.collapsed ? 'hidden' : ''}>
+                ${chats.length === 0 ? '<p class="sidebar__folder-empty">Drag chats here</p>' : ''}
+            </div>
+        `);
+
+        const header = folderElement.querySelector('.sidebar__folder-header');
+        const list = folderElement.querySelector('.sidebar__folder-chats');
+        chats.forEach(chat => this.addChatToHistory(chat, list));
+
+        const toggle = () => {
+            const collapsed = !list.hidden;
+            list.hidden = collapsed;
+            header.setAttribute('aria-expanded', String(!collapsed));
+            header.querySelector('.sidebar__folder-toggle').textContent = collapsed ? '▸' : '▾';
+            this.storageManager.updateFolder(folder.id, { collapsed });
+        };
+
+        header.addEventListener('click', (e) => {
+            if (!e.target.closest('button, input')) {
+                toggle();
+            }
+        });
+
+        header.addEventListener('keydown', (e) => {
+            if (e.target !== header) return;
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                toggle();
+            } else if (e.key === 'F2') {
+                e.preventDefault();
+                this.startRenamingFolder(folder.id);
+            }
+        });
+
+        header.querySelector('[data-action="rename"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.startRenamingFolder(folder.id);
+        });
+
+        header.querySelector('.sidebar__chat-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteFolder(folder.id);
+        });
+
+        this.makeDropTarget(folderElement, (chatId) => {
+            this.storageManager.moveChatToFolder(chatId, folder.id);
+            this.storageManager.setChatPinned(chatId, false);
+        });
+
+        this.chatHistory.appendChild(folderElement);
+    }
+
+    /**
+     * Let chats be dropped onto an element
+     * @param {HTMLElement} element - Drop target
+     * @param {Function} onDrop - Called with the dropped chat ID
+     */
+    makeDropTarget(element, onDrop) {
+        element.addEventListener('dragover', (e) => {
+            if (!this.draggedChatId) return;
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = 'move';
+
+            // Only the innermost target under the pointer is highlighted
+            this.chatHistory.querySelectorAll('.sidebar__drop-target').forEach(el => {
+                if (el !== element) el.classList.remove('sidebar__drop-target');
+            });
+            if (this.chatHistory !== element) this.chatHistory.classList.remove('sidebar__drop-target');
+            element.classList.add('sidebar__drop-target');
+        });
+
+        element.addEventListener('dragleave', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                element.classList.remove('sidebar__drop-target');
+            }
+        });
+
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            element.classList.remove('sidebar__drop-target');
+
+            const chatId = this.draggedChatId;
+            this.draggedChatId = null;
+            if (chatId) {
+                onDrop(chatId);
+                this.loadChatHistory();
+            }
+        });
+    }
+
+    /**
+     * Create a folder and start naming it
+     */
+    createFolder() {
+        const folderId = this.storageManager.createFolder('New Folder');
+        if (!folderId) return;
+
+        this.loadChatHistory();
+        this.startRenamingFolder(folderId);
+    }
+
+    /**
+     * Delete a folder, moving its chats back to the main list
+     * @param {string} folderId - Folder ID
+     */
+    deleteFolder(folderId) {
+        if (this.storageManager.deleteFolder(folderId)) {
+            this.loadChatHistory();
+            console.log('Folder deleted:', folderId);
+        }
+    }
+
+    /**
+     * Pin or unpin a chat
+     * @param {string} chatId - Chat ID
+     */
+    togglePinned(chatId) {
+        const chat = this.storageManager.getChat(chatId);
+        if (!chat) return;
+
+        this.storageManager.setChatPinned(chatId, !chat.pinned);
+        this.loadChatHistory();
+    }
+
+    /**
+     * Show an inline editor for a chat's title
+     * @param {string} chatId - Chat ID
+     */
+    startRenamingChat(chatId) {
+        const chat = this.storageManager.getChat(chatId);
+        const chatElement = this.chatHistory.querySelector(`[data-chat-id="${chatId}"]`);
+        if (!chat || !chatElement) return;
+
+        chatElement.draggable = false;
+        this.startInlineRename(chatElement.querySelector('.sidebar__chat-title'), chat.title, (title) => {
+            this.storageManager.renameChat(chatId, title);
+            if (chatId === this.selectedChatId) {
+                this.updateCurrentChatTitle(this.storageManager.getChat(chatId).title);
+            }
+        });
+    }
+
+    /**
+     * Show an inline editor for a folder's name
+     * @param {string} folderId - Folder ID
+     */
+    startRenamingFolder(folderId) {
+        const folder = this.storageManager.getFolders().find(f => f.id === folderId);
+        const folderElement = this.chatHistory.querySelector(`[data-folder-id="${folderId}"]`);
+        if (!folder || !folderElement) return;
+
+        this.startInlineRename(folderElement.querySelector('.sidebar__folder-name'), folder.name, (name) => {
+            this.storageManager.renameFolder(folderId, name);
+        });
+    }
+
+    /**
+     * Replace a label with a text input; Enter or blur saves, Escape cancels
+     * @param {HTMLElement} element - Element holding the current name
+     * @param {string} currentValue - Current name
+     * @param {Function} onCommit - Called with the new name when it changed
+     */
+    startInlineRename(element, currentValue, onCommit) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'sidebar__rename-input';
+        input.value = currentValue;
+        input.setAttribute('aria-label', 'New name');
+
+        element.textContent = '';
+        element.appendChild(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+
+            const value = input.value.trim();
+            if (save && value && value !== currentValue) {
+                onCommit(value);
+            }
+            this.loadChatHistory();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (e) => e.stopPropagation());
+    }
+
+    /**
+     * Render the Saved section with bookmarked messages from all chats
+     */
+    renderBookmarks() {
+        if (!this.savedList) return;
+
+        const bookmarks = this.storageManager.getBookmarks();
+        this.savedList.replaceChildren();
+        this.savedSection.hidden = bookmarks.length === 0 || this.isSearching();
+
+        bookmarks.forEach(bookmark => {
+            const excerpt = bookmark.responseType === 'image' ?
+                '🖼️ Image response' :
+                bookmark.content.replace(/\s+/g, ' ').slice(0, 120);
+
+            const item = document.createElement('div');
+            item.className = 'sidebar__chat-item';
+            item.setAttribute('role', 'listitem');
+            item.setAttribute('tabindex', '0');
+            this.sanitizer.setHtml(item, `
+                <div class="sidebar__chat-content">
+                    <div class="sidebar__chat-excerpt">${this.escapeHtml(excerpt)}</div>
+                    <div class="sidebar__chat-meta">
+                        <span class="sidebar__chat-date">${this.escapeHtml(bookmark.chatTitle)}</span>
+                        <span class="sidebar__chat-count">${this.formatDate(bookmark.created)}</span>
+                    </div>
+                </div>
+                <button class="sidebar__chat-delete" aria-label="Remove bookmark">
+                    <span class="sidebar__chat-delete-icon">×</span>
+                </button>
+            `);
+
+            item.addEventListener('click', (e) => {
+                if (!e.target.closest('.sidebar__chat-delete')) {
+                    this.openMessage(bookmark.chatId, bookmark.messageId);
+                }
+            });
+
+            item.addEventListener('keydown', (e) => {
+                if (e.target === item && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.openMessage(bookmark.chatId, bookmark.messageId);
+                }
+            });
+
+            item.querySelector('.sidebar__chat-delete').addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.chatManager) {
+                    this.chatManager.setMessageBookmark(bookmark.messageId, false, bookmark.chatId);
+                }
+            });
+
+            this.savedList.appendChild(item);
+        });
+    }
+
+    /**
+     * Open a chat at a specific message, scrolling to and highlighting it
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     */
+    openMessage(chatId, messageId) {
+        if (!this.chatManager || !this.chatManager.revealMessage(chatId, messageId)) {
+            console.warn('Message no longer exists:', messageId);
+            this.renderBookmarks();
+            return;
+        }
+
+        this.selectChat(chatId);
+        this.chatManager.focusMessage(messageId);
     }
 
     /**
      * Add a chat to the history display
      * @param {Object} chat - Chat object
+     * @param {HTMLElement} container - List to add the chat to
      */
-    addChatToHistory(chat) {
+    addChatToHistory(chat, container = this.chatHistory) {
         const chatElement = document.createElement('div');
         chatElement.className = 'sidebar__chat-item';
         chatElement.setAttribute('data-chat-id', chat.id);
         chatElement.setAttribute('role', 'listitem');
         chatElement.setAttribute('tabindex', '0');
+        chatElement.draggable = !chat.archived && !chat.deletedAt;
 
         const isSelected = chat.id === this.selectedChatId;
         if (isSelected) {
             chatElement.classList.add('sidebar__chat-item--selected');
         }
 
-        chatElement.innerHTML = `
+        this.sanitizer.setHtml(chatElement, `
             <div class="sidebar__chat-content">
                 <div class="sidebar__chat-title">${this.escapeHtml(chat.title)}</div>
                 <div class="sidebar__chat-meta">
-                    <span class="sidebar__chat-date">${this.formatDate(chat.updated)}</span>
-                    <span class="sidebar__chat-count">${chat.messageCount} messages</span>
+                    <span class="sidebar__chat-date">${chat.deletedAt ? `Deleted ${this.formatDate(chat.deletedAt)}` : this.formatDate(chat.updated)}</span>
+                    <span class="sidebar__chat-count">${this.escapeHtml(chat.messageCount)} messages</span>
                 </div>
             </div>
-            <button class="sidebar__chat-delete" aria-label="Delete chat" data-chat-id="${chat.id}">
-                <span class="sidebar__chat-delete-icon">×</span>
-            </button>
-        `;
+            ${this.generateChatActions(chat)}
+        `);
+
+        // Trashed chats can only be restored or deleted, not opened
+        const open = () => {
+            if (!chat.deletedAt) {
+                this.selectChat(chat.id);
+            }
+        };
 
         // Add event listeners
         chatElement.addEventListener('click', (e) => {
-            if (!e.target.closest('.sidebar__chat-delete')) {
-                this.selectChat(chat.id);
+            if (!e.target.closest('button, input')) {
+                open();
+            }
+        });
+
+        chatElement.addEventListener('dblclick', (e) => {
+            if (!chat.deletedAt && e.target.closest('.sidebar__chat-title')) {
+                this.startRenamingChat(chat.id);
             }
         });
 
         chatElement.addEventListener('keydown', (e) => {
+            if (e.target !== chatElement) return;
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                this.selectChat(chat.id);
+                open();
+            } else if (e.key === 'F2' && !chat.deletedAt) {
+                e.preventDefault();
+                this.startRenamingChat(chat.id);
             }
         });
 
-        // Delete button
-        const deleteBtn = chatElement.querySelector('.sidebar__chat-delete');
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.showDeleteConfirmation(chat.id, chat.title);
+        chatElement.addEventListener('dragstart', (e) => {
+            this.draggedChatId = chat.id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', chat.id);
+            chatElement.classList.add('sidebar__chat-item--dragging');
+        });
+
+        chatElement.addEventListener('dragend', () => {
+            this.draggedChatId = null;
+            chatElement.classList.remove('sidebar__chat-item--dragging');
+            this.chatHistory.querySelectorAll('.sidebar__drop-target').forEach(el => el.classList.remove('sidebar__drop-target'));
+            this.chatHistory.classList.remove('sidebar__drop-target');
+        });
+
+        const actions = {
+            pin: () => this.togglePinned(chat.id),
+            rename: () => this.startRenamingChat(chat.id),
+            archive: () => this.archiveChat(chat.id, true),
+            unarchive: () => this.archiveChat(chat.id, false),
+            restore: () => this.restoreChats([chat.id]),
+            delete: (button) => {
+                if (chat.deletedAt) {
+                    this.confirmAction(button, 'Delete forever?', () => this.deleteChatPermanently(chat.id));
+                } else {
+                    this.deleteChat(chat.id);
+                }
+            }
+        };
+
+        chatElement.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                actions[button.dataset.action](button);
+            });
         });
 
-        this.chatHistory.appendChild(chatElement);
+        container.appendChild(chatElement);
+    }
+
+    /**
+     * Build the action buttons for a chat item, which depend on where the chat is
+     * @param {Object} chat - Chat object
+     * @returns {string} - HTML for the chat's action buttons
+     */
+    generateChatActions(chat) {
+        const deleteButton = (label) => `
+            <button class="sidebar__chat-delete" data-action="delete" aria-label="${label}">
+                <span class="sidebar__chat-delete-icon">×</span>
+            </button>
+        `;
+
+        if (chat.deletedAt) {
+            return `
+                <button class="sidebar__chat-action" data-action="restore" aria-label="Restore chat">↩️</button>
+                ${deleteButton('Delete chat permanently')}
+            `;
+        }
+
+        if (chat.archived) {
+            return `
+                <button class="sidebar__chat-action" data-action="unarchive" aria-label="Unarchive chat">📤</button>
+                ${deleteButton('Move chat to trash')}
+            `;
+        }
+
+        return `
+            <button class="sidebar__chat-action ${chat.pinned ? 'sidebar__chat-action--active' : ''}" data-action="pin" aria-label="${chat.pinned ? 'Unpin chat' : 'Pin chat'}" aria-pressed="${Boolean(chat.pinned)}">📌</button>
+            <button class="sidebar__chat-action" data-action="rename" aria-label="Rename chat">✏️</button>
+            <button class="sidebar__chat-action" data-action="archive" aria-label="Archive chat">🗄️</button>
+            ${deleteButton('Move chat to trash')}
+        `;
     }
 
     /**
@@ -232,57 +950,137 @@ class SidebarManager {
     }
 
     /**
-     * Show delete confirmation dialog
+     * Move a chat to the trash, offering to undo
      * @param {string} chatId - Chat ID to delete
-     * @param {string} chatTitle - Chat title for confirmation
      */
-    showDeleteConfirmation(chatId, chatTitle) {
-        const confirmed = confirm(`Delete chat "${chatTitle}"?\n\nThis action cannot be undone.`);
-        if (confirmed) {
-            this.deleteChat(chatId);
+    deleteChat(chatId) {
+        const chat = this.storageManager.getChat(chatId);
+        if (!chat || !this.storageManager.trashChat(chatId)) return;
+
+        this.afterTrashing([chatId], `Moved "${chat.title}" to the trash`);
+        console.log('Chat moved to trash:', chatId);
+    }
+
+    /**
+     * Move all chats to the trash, offering to undo
+     */
+    clearAllChats() {
+        const chatIds = this.storageManager.getAllChats().map(chat => chat.id);
+        if (chatIds.length === 0 || !this.storageManager.trashChats(chatIds)) return;
+
+        this.afterTrashing(chatIds, `Moved ${chatIds.length} chats to the trash`);
+        console.log('All chats moved to trash');
+    }
+
+    /**
+     * Refresh the sidebar after trashing chats and show an Undo toast
+     * @param {Array<string>} chatIds - Trashed chat IDs
+     * @param {string} message - Toast message
+     */
+    afterTrashing(chatIds, message) {
+        // Replace the open chat with a fresh one, remembering it for Undo
+        let replacementChatId = null;
+        if (chatIds.includes(this.selectedChatId)) {
+            this.createNewChat();
+            replacementChatId = this.selectedChatId;
         }
+
+        this.loadChatHistory();
+        this.showToast(message, {
+            label: 'Undo',
+            onClick: () => this.restoreChats(chatIds, replacementChatId)
+        });
     }
 
     /**
-     * Delete a chat
-     * @param {string} chatId - Chat ID to delete
+     * Restore chats from the trash
+     * @param {Array<string>} chatIds - Chat IDs to restore
+     * @param {string|null} replacementChatId - Empty chat opened in place of a restored one
      */
-    deleteChat(chatId) {
-        const success = this.storageManager.deleteChat(chatId);
-        if (success) {
-            // If this was the selected chat, create a new one
-            if (chatId === this.selectedChatId) {
-                this.createNewChat();
+    restoreChats(chatIds, replacementChatId = null) {
+        if (!this.storageManager.restoreChats(chatIds)) return;
+
+        // Go back to the restored chat if the user is still on its empty replacement
+        const replacement = replacementChatId ? this.storageManager.getChat(replacementChatId) : null;
+        if (replacement && replacement.messages.length === 0 && this.selectedChatId === replacementChatId) {
+            this.storageManager.deleteChat(replacementChatId);
+            this.selectChat(chatIds[0]);
+        }
+
+        this.loadChatHistory();
+        this.showToast(chatIds.length === 1 ? 'Chat restored' : `${chatIds.length} chats restored`);
+    }
+
+    /**
+     * Archive a chat or move it back to the chat list, offering to undo
+     * @param {string} chatId - Chat ID
+     * @param {boolean} archived - Whether to archive the chat
+     */
+    archiveChat(chatId, archived) {
+        if (!this.storageManager.setChatArchived(chatId, archived)) return;
+
+        this.loadChatHistory();
+        this.showToast(archived ? 'Chat archived' : 'Chat moved back to your chats', {
+            label: 'Undo',
+            onClick: () => {
+                this.storageManager.setChatArchived(chatId, !archived);
+                this.loadChatHistory();
             }
-            
+        });
+    }
+
+    /**
+     * Permanently delete a chat from the trash
+     * @param {string} chatId - Chat ID
+     */
+    deleteChatPermanently(chatId) {
+        if (this.storageManager.deleteChat(chatId)) {
             this.loadChatHistory();
-            console.log('Chat deleted:', chatId);
+            console.log('Chat deleted permanently:', chatId);
         }
     }
 
     /**
-     * Show clear all confirmation dialog
+     * Permanently delete everything in the trash
      */
-    showClearAllConfirmation() {
-        const chatCount = this.storageManager.getAllChats().length;
-        if (chatCount === 0) return;
+    emptyTrash() {
+        const count = this.storageManager.emptyTrash();
+        this.loadChatHistory();
+        this.showToast(`Deleted ${count} chat${count === 1 ? '' : 's'} permanently`);
+    }
 
-        const confirmed = confirm(`Delete all ${chatCount} chats?\n\nThis action cannot be undone.`);
-        if (confirmed) {
-            this.clearAllChats();
+    /**
+     * Ask for a second click before an action that cannot be undone
+     * @param {HTMLElement} button - Button that was clicked
+     * @param {string} prompt - Label shown while waiting for confirmation
+     * @param {Function} onConfirm - Called on the second click
+     */
+    confirmAction(button, prompt, onConfirm) {
+        if (button.dataset.confirming) {
+            onConfirm();
+            return;
         }
+
+        const original = [...button.childNodes];
+        button.dataset.confirming = 'true';
+        button.textContent = prompt;
+
+        setTimeout(() => {
+            if (button.isConnected) {
+                delete button.dataset.confirming;
+                button.replaceChildren(...original);
+            }
+        }, 3000);
     }
 
     /**
-     * Clear all chats
+     * Show a toast through the UI manager
+     * @param {string} message - Toast message
+     * @param {Object|null} action - Optional { label, onClick } button
      */
-    clearAllChats() {
-        const success = this.storageManager.clearAllChats();
-        if (success) {
-            this.selectedChatId = null;
-            this.loadChatHistory();
-            this.createNewChat(); // Start with a fresh chat
-            console.log('All chats cleared');
+    showToast(message, action = null) {
+        if (this.chatManager && this.chatManager.uiManager) {
+            this.chatManager.uiManager.showToast(message, action);
         }
     }
 
@@ -290,14 +1088,35 @@ class SidebarManager {
      * Update empty state visibility
      */
     updateEmptyState() {
-        const chats = this.storageManager.getAllChats();
-        const isEmpty = chats.length === 0;
+        const emptyTexts = {
+            chats: ['No previous chats', 'Start a conversation to see your chat history'],
+            archive: ['No archived chats', 'Archive a chat to hide it from the list without deleting it'],
+            trash: ['Trash is empty', 'Deleted chats can be restored from here']
+        };
+
+        let isEmpty;
+        if (this.view === 'trash') {
+            isEmpty = this.storageManager.getTrashedChats().length === 0;
+        } else if (this.view === 'archive') {
+            isEmpty = this.storageManager.getArchivedChats().length === 0;
+        } else {
+            isEmpty = !this.storageManager.getAllChats().some(chat => !chat.archived) &&
+                this.storageManager.getFolders().length === 0;
+        }
+
+        const searching = this.isSearching();
 
         if (this.emptyState) {
-            this.emptyState.style.display = isEmpty ? 'block' : 'none';
+            this.emptyState.style.display = isEmpty && !searching ? 'block' : 'none';
+            this.emptyState.querySelector('.sidebar__empty-text').textContent = emptyTexts[this.view][0];
+            this.emptyState.querySelector('.sidebar__empty-subtext').textContent = emptyTexts[this.view][1];
         }
         
-        this.chatHistory.style.display = isEmpty ? 'none' : 'block';
+        this.chatHistory.style.display = isEmpty || searching ? 'none' : 'block';
+
+        if (this.chatsHeader) {
+            this.chatsHeader.hidden = searching;
+        }
     }
 
     /**
@@ -386,9 +1205,7 @@ class SidebarManager {
      * @returns {string} - Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return this.sanitizer.escapeHtml(text);
     }
 
     /**
@@ -414,23 +1231,8 @@ class SidebarManager {
         const chat = this.storageManager.getChat(chatId);
         if (!chat) return;
 
-        const chatElement = this.chatHistory.querySelector(`[data-chat-id="${chatId}"]`);
-        if (chatElement) {
-            // Update title and meta info
-            const titleElement = chatElement.querySelector('.sidebar__chat-title');
-            const dateElement = chatElement.querySelector('.sidebar__chat-date');
-            const countElement = chatElement.querySelector('.sidebar__chat-count');
-
-            if (titleElement) titleElement.textContent = chat.title;
-            if (dateElement) dateElement.textContent = this.formatDate(chat.updated);
-            if (countElement) countElement.textContent = `${chat.messageCount} messages`;
-
-            // Move to top of list if it's not already there
-            if (chatElement !== this.chatHistory.firstChild) {
-                this.chatHistory.insertBefore(chatElement, this.chatHistory.firstChild);
-            }
-        } else {
-            // Chat doesn't exist in sidebar, refresh the whole list
+        // New activity can move the chat into another date group, so redraw the list
+        if (!this.chatHistory.querySelector('.sidebar__rename-input')) {
             this.loadChatHistory();
         }
 
@@ -1,177 +1,1576 @@
 /**
  * Storage Module
- * Handles localStorage operations for chat persistence
+ * Handles chat persistence through a pluggable storage backend
+ *
+ * A backend implements:
+ *   open()             - async, prepares the backend
+ *   load()             - async, resolves to the stored data or null when empty
+ *   save(data, chatIds) - async, persists { chats, bookmarks, folders, currentChatId, settings };
+ *                        chatIds, when given, lists the only chats that changed since the last save
+ *   clear()            - async, removes all stored data
+ *   saveBackup(backup) - async, keeps a { id, kind, version, created, data } snapshot
+ *   loadBackups()      - async, resolves to the kept snapshots, newest first
+ *   estimate()         - async, resolves to { usage, quota } in bytes (quota may be null)
+ *   limits             - { maxChats, maxMessagesPerChat } the backend can hold comfortably
  */
 
+/**
+ * Stores all data as one JSON blob in localStorage
+ */
+class LocalStorageBackend {
+    constructor(storageKey = 'mockChatAssistant_v2') {
+        this.name = 'localStorage';
+        this.storageKey = storageKey;
+        this.limits = { maxChats: 50, maxMessagesPerChat: 100 };
+    }
+
+    /**
+     * Check whether localStorage can be written to
+     * @returns {boolean} - Whether the backend can be used
+     */
+    static isSupported() {
+        try {
+            const testKey = 'test_storage';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Prepare the backend (nothing to do for localStorage)
+     */
+    async open() {}
+
+    /**
+     * Load the stored data
+     * @returns {Promise<Object|null>} - Storage data or null if nothing is stored
+     */
+    async load() {
+        const data = localStorage.getItem(this.storageKey);
+        return data ? JSON.parse(data) : null;
+    }
+
+    /**
+     * Save all data, replacing what is stored (the whole blob is always written)
+     * @param {Object} data - Storage data
+     */
+    async save(data) {
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+    }
+
+    /**
+     * Remove the stored data
+     */
+    async clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Keep a snapshot of the data, replacing older ones of the same kind:
+     * backups share the site's ~5 MB with the live data, so only the latest is kept
+     * @param {Object} backup - { id, kind, version, created, data }
+     */
+    async saveBackup(backup) {
+        const backups = (await this.loadBackups()).filter(b => b.id !== backup.id && b.kind !== backup.kind);
+        localStorage.setItem(`${this.storageKey}_backups`, JSON.stringify([backup, ...backups]));
+    }
+
+    /**
+     * Load the kept snapshots
+     * @returns {Promise<Array<Object>>} - Backups, newest first
+     */
+    async loadBackups() {
+        const backups = localStorage.getItem(`${this.storageKey}_backups`);
+        return backups ? JSON.parse(backups) : [];
+    }
+
+    /**
+     * Estimate the space used and available. Browsers don't report the
+     * localStorage quota; most allow about 5 MB per site.
+     * @returns {Promise<Object>} - { usage, quota } in bytes
+     */
+    async estimate() {
+        let usage = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            usage += (key.length + (localStorage.getItem(key) || '').length) * 2; // UTF-16
+        }
+        return { usage, quota: 5 * 1024 * 1024 };
+    }
+}
+
+/**
+ * Stores each chat and each message as its own IndexedDB record,
+ * so adding a message only writes the records that changed
+ */
+class IndexedDBBackend {
+    constructor(databaseName = 'mockChatAssistant') {
+        this.name = 'indexedDB';
+        this.databaseName = databaseName;
+        this.version = 2;
+        this.limits = { maxChats: 500, maxMessagesPerChat: 2000 };
+        this.stores = ['chats', 'messages', 'meta'];
+        this.db = null;
+        this.written = new Map(); // Record ID -> serialized record as last written
+        this.onBlocked = null; // Called while a tab with an older version keeps the database open
+        this.onVersionChange = null; // Called after the connection was closed for a newer version
+    }
+
+    /**
+     * Check whether IndexedDB exists in this browser
+     * @returns {boolean} - Whether the backend can be used
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open the database, creating its object stores on first use
+     * While another tab holds an older version open, opening waits for it to close
+     * rather than failing, so chats already moved here are not left behind.
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore('chats', { keyPath: 'id' });
+                    const messages = db.createObjectStore('messages', { keyPath: ['chatId', 'position'] });
+                    messages.createIndex('chatId', 'chatId');
+                    db.createObjectStore('meta');
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore('backups', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer version in another tab upgrade the database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    if (typeof this.onVersionChange === 'function') this.onVersionChange();
+                };
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                console.warn('The chat database is in use by another tab, waiting for it to close');
+                if (typeof this.onBlocked === 'function') this.onBlocked();
+            };
+        });
+    }
+
+    /**
+     * Load all chats and their messages
+     * @returns {Promise<Object|null>} - Storage data or null if nothing is stored
+     */
+    async load() {
+        const transaction = this.db.transaction(this.stores, 'readonly');
+        const [state, chatRecords, messageRecords] = await Promise.all([
+            this.request(transaction.objectStore('meta').get('state')),
+            this.request(transaction.objectStore('chats').getAll()),
+            this.request(transaction.objectStore('messages').getAll())
+        ]);
+
+        this.written.clear();
+        if (!state) return null;
+
+        const messagesByChat = new Map();
+        messageRecords.forEach(record => {
+            if (!messagesByChat.has(record.chatId)) {
+                messagesByChat.set(record.chatId, []);
+            }
+            messagesByChat.get(record.chatId).push(record);
+        });
+
+        const chats = chatRecords
+            .sort((a, b) => a.order - b.order)
+            .map(record => {
+                const { order, ...chat } = record;
+                chat.messages = (messagesByChat.get(chat.id) || [])
+                    .sort((a, b) => a.position - b.position)
+                    .map(({ chatId, position, ...message }) => message);
+                return chat;
+            });
+
+        const data = { ...state, chats };
+        this.getRecords(data).forEach((record, id) => this.written.set(id, record.json));
+        return data;
+    }
+
+    /**
+     * Save all data, writing only the records that changed since the last save
+     * @param {Object} data - Storage data
+     * @param {Array<string>|null} chatIds - Chats that changed; only their records
+     *                                       (and the settings) are compared. null compares every chat.
+     */
+    save(data, chatIds = null) {
+        const changed = chatIds ? new Set(chatIds) : null;
+        const records = this.getRecords(data, changed);
+        const isCovered = (id) => {
+            if (!changed) return true;
+            const [storeName, key] = this.parseRecordId(id);
+            if (storeName === 'meta') return true;
+            return changed.has(storeName === 'messages' ? key[0] : key);
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.stores, 'readwrite');
+
+            records.forEach((record, id) => {
+                if (this.written.get(id) === record.json) return;
+                const store = transaction.objectStore(record.store);
+                if (record.store === 'meta') {
+                    store.put(record.value, record.key);
+                } else {
+                    store.put(record.value);
+                }
+            });
+
+            const removed = [...this.written.keys()].filter(id => !records.has(id) && isCovered(id));
+            removed.forEach(id => {
+                const [storeName, key] = this.parseRecordId(id);
+                transaction.objectStore(storeName).delete(key);
+            });
+
+            transaction.oncomplete = () => {
+                removed.forEach(id => this.written.delete(id));
+                records.forEach((record, id) => this.written.set(id, record.json));
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Saving chats was aborted'));
+        });
+    }
+
+    /**
+     * Remove all chats, messages and settings
+     */
+    clear() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.stores, 'readwrite');
+            this.stores.forEach(name => transaction.objectStore(name).clear());
+            transaction.oncomplete = () => {
+                this.written.clear();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Keep a snapshot of the data, replacing an older one with the same ID
+     * @param {Object} backup - { id, kind, version, created, data }
+     */
+    saveBackup(backup) {
+        const transaction = this.db.transaction(['backups'], 'readwrite');
+        transaction.objectStore('backups').put(backup);
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Saving the backup was aborted'));
+        });
+    }
+
+    /**
+     * Load the kept snapshots
+     * @returns {Promise<Array<Object>>} - Backups, newest first
+     */
+    async loadBackups() {
+        const transaction = this.db.transaction(['backups'], 'readonly');
+        const backups = await this.request(transaction.objectStore('backups').getAll());
+        return backups.sort((a, b) => new Date(b.created) - new Date(a.created));
+    }
+
+    /**
+     * Ask the browser how much of the site's quota is used
+     * @returns {Promise<Object>} - { usage, quota } in bytes (null when unknown)
+     */
+    async estimate() {
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage: usage || 0, quota: quota || null };
+        }
+        return { usage: null, quota: null };
+    }
+
+    /**
+     * Split storage data into the records it is stored as
+     * @param {Object} data - Storage data
+     * @param {Set<string>|null} chatIds - Only split these chats (null for all)
+     * @returns {Map<string, Object>} - Record ID -> { store, key, value, json }
+     */
+    getRecords(data, chatIds = null) {
+        const records = new Map();
+        const add = (store, key, value) => {
+            records.set(JSON.stringify([store, key]), { store, key, value, json: JSON.stringify(value) });
+        };
+
+        const { chats, ...state } = data;
+        add('meta', 'state', state);
+
+        chats.forEach((chat, order) => {
+            if (chatIds && !chatIds.has(chat.id)) return;
+            const { messages, ...meta } = chat;
+            add('chats', chat.id, { ...meta, order });
+            messages.forEach((message, position) => {
+                add('messages', [chat.id, position], { ...message, chatId: chat.id, position });
+            });
+        });
+
+        return records;
+    }
+
+    /**
+     * Get the store name and key back from a record ID
+     * @param {string} id - Record ID created by getRecords
+     * @returns {Array} - [store name, key]
+     */
+    parseRecordId(id) {
+        return JSON.parse(id);
+    }
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - Request to wait for
+     * @returns {Promise<*>} - The request result
+     */
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
 class StorageManager {
-    constructor() {
-        this.storageKey = 'mockChatAssistant_v2';
-        this.maxChats = 50; // Limit stored chats to prevent localStorage bloat
+    /**
+     * @param {Object|null} backend - Storage backend to use; picked automatically when omitted
+     */
+    constructor(backend = null) {
+        this.storageKey = 'mockChatAssistant_v2'; // localStorage key used before IndexedDB
+        this.backend = backend;
+        this.maxChats = 50; // Limit stored chats to prevent storage bloat
         this.maxMessagesPerChat = 100; // Limit messages per chat
+        this.cache = null; // In-memory copy of the stored data
+        this.dirty = false; // Whether the cache changed since the last write started
+        this.changedChats = new Set(); // Chats changed since the last write started
+        this.allChanged = false; // Whether changes go beyond changedChats (chats added, removed, reordered)
+        this.pendingSave = null; // Promise of the write in progress
+        this.lastSaveFailed = false;
+        this.lastErrorReport = 0;
+        this.channel = null; // BroadcastChannel used to tell other tabs about saves
+        this.onError = null; // Called with a message the user should see when saving fails
+        this.onWarning = null; // Called with a message when chats are close to being trimmed
+        this.onExternalChange = null; // Called after another tab changed the stored data
+    }
+
+    /**
+     * Initialize storage, moving chats out of localStorage when IndexedDB is available
+     * @returns {Promise<boolean>} - Whether chats will be persisted
+     */
+    async init() {
+        try {
+            if (!this.backend) {
+                this.backend = await this.openBackend();
+            } else {
+                await this.backend.open();
+            }
+        } catch (error) {
+            console.warn('Storage backend not available:', error);
+            this.backend = null;
+        }
+
+        if (this.backend) {
+            this.maxChats = this.backend.limits.maxChats;
+            this.maxMessagesPerChat = this.backend.limits.maxMessagesPerChat;
+
+            try {
+                if (this.backend instanceof IndexedDBBackend) {
+                    await this.migrateFromLocalStorage();
+                }
+                this.cache = await this.backend.load();
+                if (this.cache) {
+                    this.cache = await this.migrateData(this.cache);
+                }
+            } catch (error) {
+                console.error('Error reading storage:', error);
+            }
+        }
+
+        // Initialize storage structure if it doesn't exist
+        if (!this.cache) {
+            this.initializeStorage();
+        }
+
+        if (!this.backend) {
+            console.warn('Storage not available, chats will not be saved');
+            return false;
+        }
+
+        this.purgeTrash();
+        this.listenForChanges();
+
+        console.log(`Storage initialized successfully (${this.backend.name})`);
+        return true;
+    }
+
+    /**
+     * Open the best available backend: IndexedDB, then localStorage
+     * @returns {Promise<Object|null>} - Opened backend or null
+     */
+    async openBackend() {
+        if (IndexedDBBackend.isSupported()) {
+            try {
+                const backend = new IndexedDBBackend();
+                backend.onBlocked = () => {
+                    if (typeof this.onError === 'function') {
+                        this.onError('Close other tabs of this app to finish loading your chats.');
+                    }
+                };
+                backend.onVersionChange = () => {
+                    if (typeof this.onError === 'function') {
+                        this.lastErrorReport = Date.now(); // Keep failed saves from replacing this message
+                        this.onError('This app was updated in another tab. Reload this page to keep saving your chats.');
+                    }
+                };
+                await backend.open();
+                return backend;
+            } catch (error) {
+                console.warn('IndexedDB not available, falling back to localStorage:', error);
+            }
+        }
+
+        if (LocalStorageBackend.isSupported()) {
+            const backend = new LocalStorageBackend(this.storageKey);
+            await backend.open();
+            return backend;
+        }
+
+        return null;
+    }
+
+    /**
+     * Copy chats saved by earlier versions from localStorage into the backend,
+     * then remove them from localStorage. Chats already in the backend are never
+     * overwritten: localStorage chats with new IDs are added, and a backup of the
+     * localStorage data is kept first. localStorage is only cleared once the
+     * chats were saved, so a failed move is tried again on the next load.
+     */
+    async migrateFromLocalStorage() {
+        if (!LocalStorageBackend.isSupported()) return;
+
+        const legacy = new LocalStorageBackend(this.storageKey);
+        let data;
+        try {
+            data = await legacy.load();
+        } catch (error) {
+            console.error('Could not read chats from localStorage:', error);
+            return;
+        }
+        if (!data) return;
+
+        try {
+            const existing = await this.backend.load();
+            if (!existing) {
+                await this.backend.save(data);
+                console.log(`Moved ${data.chats.length} chats from localStorage to ${this.backend.name}`);
+            } else {
+                const migrator = new SchemaMigrator();
+                await this.backend.saveBackup({
+                    id: 'chats-localStorage',
+                    kind: 'chats',
+                    version: migrator.getVersion('chats', data),
+                    created: new Date().toISOString(),
+                    data
+                });
+
+                // Bring the old chats to the current schema before mixing them in
+                const known = new Set(existing.chats.map(chat => chat.id));
+                const missing = (migrator.migrate('chats', data).chats || [])
+                    .filter(chat => chat && !known.has(chat.id));
+                if (missing.length > 0) {
+                    await this.backend.save({ ...existing, chats: [...existing.chats, ...missing] });
+                }
+                console.log(`Merged ${missing.length} chats from localStorage into ${this.backend.name}`);
+            }
+            await legacy.clear();
+        } catch (error) {
+            console.error('Could not move chats from localStorage, keeping them there:', error);
+        }
+    }
+
+    /**
+     * Upgrade stored chats to the current schema, saving one backup of the data
+     * as it was before the first step. When the backup doesn't fit, the chats are
+     * upgraded anyway with a warning, since old-schema chats don't display correctly.
+     * Stops at the last version that worked if a migration fails.
+     * @param {Object} data - Stored data
+     * @returns {Promise<Object>} - Data at the newest version reached
+     */
+    async migrateData(data) {
+        const migrator = new SchemaMigrator();
+        const steps = migrator.getPendingMigrations('chats', data);
+        if (steps.length === 0) return data;
+
+        try {
+            await this.backend.saveBackup({
+                id: `chats-v${steps[0].from}`,
+                kind: 'chats',
+                version: steps[0].from,
+                created: new Date().toISOString(),
+                data
+            });
+        } catch (error) {
+            console.warn('Could not back up chats before upgrading them:', error);
+            if (typeof this.onWarning === 'function') {
+                this.onWarning('Your saved chats were upgraded to this version of the app without a backup, because storage is full.');
+            }
+        }
+
+        let current = data;
+        for (const step of steps) {
+            try {
+                current = migrator.runMigration(step, current);
+            } catch (error) {
+                console.error(`Migrating chats from version ${step.from} to ${step.to} failed:`, error);
+                if (typeof this.onError === 'function') {
+                    this.onError('Your saved chats could not be upgraded to this version of the app. Older chats may not display correctly.', error);
+                }
+                break;
+            }
+        }
+
+        if (current !== data) {
+            try {
+                await this.backend.save(current);
+            } catch (error) {
+                // The upgraded chats are used from memory and written with the next change
+                this.allChanged = true;
+                this.handleSaveError(error);
+            }
+        }
+
+        return current;
+    }
+
+    /**
+     * Get the snapshots taken before migrations
+     * @returns {Promise<Array<Object>>} - Backups as { id, kind, version, created, data }, newest first
+     */
+    async getBackups() {
+        if (!this.backend) return [];
+        try {
+            return await this.backend.loadBackups();
+        } catch (error) {
+            console.error('Error reading backups:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Initialize empty storage structure
+     */
+    initializeStorage() {
+        const initialData = {
+            chats: [],
+            bookmarks: [],
+            folders: [],
+            currentChatId: null,
+            settings: {
+                version: SchemaMigrator.CHATS_VERSION,
+                created: new Date().toISOString()
+            }
+        };
+
+        this.saveStorageData(initialData);
+    }
+
+    /**
+     * Get all storage data
+     * This is the live cache, not a copy: methods that change it must call
+     * saveStorageData, and data handed to other modules is copied (see getChat).
+     * @returns {Object|null} - Storage data or null if not available
+     */
+    getStorageData() {
+        return this.cache;
+    }
+
+    /**
+     * Save storage data. The write to the backend happens in the background;
+     * failures are reported through onError.
+     * @param {Object} data - Data to save
+     * @param {string|null} chatId - The only chat that changed, so the backend
+     *                               can skip the others; omit when chats were added, removed or reordered
+     * @returns {boolean} - Whether the data was accepted
+     */
+    saveStorageData(data, chatId = null) {
+        this.cache = data;
+        if (!this.backend) return true;
+
+        if (chatId) {
+            this.changedChats.add(chatId);
+        } else {
+            this.allChanged = true;
+        }
+        this.dirty = true;
+        if (!this.pendingSave) {
+            this.pendingSave = this.writeCache();
+        }
+        return true;
+    }
+
+    /**
+     * Write the cache to the backend until no newer changes are waiting
+     * @returns {Promise<boolean>} - Whether the last write succeeded
+     */
+    async writeCache() {
+        while (this.dirty) {
+            const chatIds = this.allChanged ? null : [...this.changedChats];
+            this.dirty = false;
+            this.allChanged = false;
+            this.changedChats = new Set();
+            try {
+                await this.backend.save(this.cache, chatIds);
+                this.lastSaveFailed = false;
+                if (this.channel) {
+                    this.channel.postMessage('saved');
+                }
+            } catch (error) {
+                // The next write compares every chat, so these changes are retried
+                this.allChanged = true;
+                this.lastSaveFailed = true;
+                this.handleSaveError(error);
+            }
+        }
+
+        this.pendingSave = null;
+        return !this.lastSaveFailed;
+    }
+
+    /**
+     * Wait until all changes have been written to the backend
+     * @returns {Promise<boolean>} - Whether the last write succeeded
+     */
+    flush() {
+        return this.pendingSave || Promise.resolve(!this.lastSaveFailed);
+    }
+
+    /**
+     * Report a failed save to the user
+     * @param {Error} error - Error raised by the backend
+     */
+    handleSaveError(error) {
+        console.error('Error saving storage:', error);
+
+        const quotaExceeded = error && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+        const message = quotaExceeded ?
+            'Storage is full - recent changes were not saved. Delete or export old chats to free up space.' :
+            'Your chats could not be saved. Recent changes may be lost when the page is closed.';
+
+        // One report per burst of failed saves is enough
+        const now = Date.now();
+        if (typeof this.onError === 'function' && now - this.lastErrorReport > 5000) {
+            this.lastErrorReport = now;
+            this.onError(message, error);
+        }
+    }
+
+    /**
+     * Reload the data when another tab saves, so both tabs stay in sync
+     */
+    listenForChanges() {
+        const reload = async () => {
+            await this.flush();
+            try {
+                const data = await this.backend.load();
+                if (!data) return;
+                this.cache = data;
+                if (typeof this.onExternalChange === 'function') {
+                    this.onExternalChange();
+                }
+            } catch (error) {
+                console.error('Error reading storage:', error);
+            }
+        };
+
+        if (this.backend instanceof LocalStorageBackend) {
+            window.addEventListener('storage', (e) => {
+                if (e.key === this.backend.storageKey) reload();
+            });
+        } else if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.backend.databaseName);
+            this.channel.onmessage = reload;
+        }
+    }
+
+    /**
+     * Get user-configurable settings merged over their defaults
+     * @returns {Object} - Settings object
+     */
+    getSettings() {
+        const defaults = this.getDefaultSettings();
+        const data = this.getStorageData();
+        const stored = data ? data.settings : {};
+
+        return {
+            ...defaults,
+            ...stored,
+            streaming: {
+                ...defaults.streaming,
+                ...(stored.streaming || {})
+            },
+            metadata: {
+                ...defaults.metadata,
+                ...(stored.metadata || {})
+            }
+        };
+    }
+
+    /**
+     * Get default values for user-configurable settings
+     * @returns {Object} - Default settings
+     */
+    getDefaultSettings() {
+        return {
+            userName: 'User',
+            selectedModel: null, // Model for chats that have not picked one
+            selectedRuleSet: null, // Rule set for new chats (null = the default set)
+            trashRetentionDays: 30, // Days before deleted chats are purged (0 = keep until emptied)
+            streaming: {
+                enabled: true,
+                tokensPerSecond: 30, // Average reveal speed
+                jitter: 0.3, // Random variation of each token's delay (0-1)
+                firstTokenDelay: 300 // Milliseconds before the first token appears
+            },
+            metadata: {
+                charsPerToken: 4, // Tokenizer estimate used for token counts
+                pricePerToken: 0.000001 // Cost in dollars per generated token
+            }
+        };
+    }
+
+    /**
+     * Update user-configurable settings
+     * @param {Object} changes - Settings to merge into the stored settings
+     * @returns {boolean} - Whether the settings were saved
+     */
+    updateSettings(changes) {
+        const data = this.getStorageData();
+        if (!data) return false;
+
+        data.settings = {
+            ...data.settings,
+            ...changes
+        };
+
+        return this.saveStorageData(data);
+    }
+
+    /**
+     * Create a new chat session
+     * @param {string} title - Optional chat title
+     * @returns {string} - New chat ID
+     */
+    createNewChat(title = null) {
+        const chatId = this.generateChatId();
+        const chat = {
+            id: chatId,
+            title: title || 'New Chat',
+            messages: [],
+            state: null,
+            model: null,
+            ruleSet: null,
+            pinned: false,
+            folderId: null,
+            archived: false,
+            deletedAt: null,
+            created: new Date().toISOString(),
+            updated: new Date().toISOString(),
+            messageCount: 0
+        };
+
+        const data = this.getStorageData();
+        if (!data) return null;
+
+        // Add new chat to beginning of array
+        data.chats.unshift(chat);
+        const dropped = this.trimChats(data);
+
+        data.currentChatId = chatId;
+        this.saveStorageData(data);
+        this.warnAboutChatLimit(data, dropped);
+
+        console.log('Created new chat:', chatId);
+        return chatId;
+    }
+
+    /**
+     * Limit the number of stored chats, dropping trashed and then the oldest unpinned ones first
+     * @param {Object} data - Storage data, modified in place
+     * @returns {Array<Object>} - Chats that were dropped
+     */
+    trimChats(data) {
+        const dropped = this.getTrimCandidates(data, data.chats.length - this.maxChats);
+        const droppedIds = dropped.map(c => c.id);
+        data.chats = data.chats.filter(c => !droppedIds.includes(c.id));
+        return dropped;
+    }
+
+    /**
+     * Keep only a chat's newest messages, up to the per-chat limit
+     * Branch groups that started in the removed part go with it, since no
+     * message left in the chat leads to them.
+     * @param {Object} chat - Chat object; messages, messageCount and branches are replaced
+     * @returns {number} - Number of branch groups dropped
+     */
+    trimMessages(chat) {
+        if (chat.messages.length <= this.maxMessagesPerChat) return 0;
+
+        chat.messages = chat.messages.slice(-this.maxMessagesPerChat);
+        chat.messageCount = chat.messages.length;
+        if (!chat.branches) return 0;
+
+        // A group is reached through the message that starts it, which may itself sit in another group's branch
+        const reachable = new Set();
+        const visit = messages => messages.forEach(message => {
+            const groupId = message.branchGroup;
+            if (!groupId || reachable.has(groupId) || !chat.branches[groupId]) return;
+            reachable.add(groupId);
+            chat.branches[groupId].variants.forEach(variant => variant && visit(variant));
+        });
+        visit(chat.messages);
+
+        const total = Object.keys(chat.branches).length;
+        if (reachable.size > 0) {
+            chat.branches = Object.fromEntries(Object.entries(chat.branches).filter(([groupId]) => reachable.has(groupId)));
+        } else {
+            delete chat.branches;
+        }
+        return total - reachable.size;
+    }
+
+    /**
+     * Get the chats trimChats would drop first
+     * @param {Object} data - Storage data
+     * @param {number} count - Number of chats to drop
+     * @returns {Array<Object>} - Up to count chats, in the order they would go
+     */
+    getTrimCandidates(data, count) {
+        if (count <= 0) return [];
+
+        const candidates = [
+            ...data.chats.filter(c => !c.pinned && !c.deletedAt),
+            ...data.chats.filter(c => c.deletedAt)
+        ];
+        return candidates.slice(-count).reverse();
+    }
+
+    /**
+     * Warn when new chats will soon push the oldest conversations out of storage
+     * @param {Object} data - Storage data after the newest chat was added
+     * @param {Array<Object>} dropped - Chats just removed by trimChats
+     */
+    warnAboutChatLimit(data, dropped) {
+        if (typeof this.onWarning !== 'function') return;
+
+        const deleted = dropped.filter(chat => !chat.deletedAt);
+        if (deleted.length > 0) {
+            this.onWarning(`Deleted "${deleted[0].title}"${deleted.length > 1 ? ` and ${deleted.length - 1} more` : ''} to stay within the ${this.maxChats}-chat limit.`);
+            return;
+        }
+
+        // Chats in the trash are dropped before any others
+        const left = this.maxChats - data.chats.length + data.chats.filter(chat => chat.deletedAt).length;
+        const next = this.getTrimCandidates(data, 1)[0];
+        if (left === 0 && next) {
+            this.onWarning(`Storage holds ${this.maxChats} chats. Starting another chat will delete "${next.title}" - export or clean up chats to keep it.`);
+        } else if (left > 0 && left <= 5) {
+            this.onWarning(`${left} new chat${left === 1 ? '' : 's'} left before the oldest chats are deleted to stay within the ${this.maxChats}-chat limit.`);
+        }
+    }
+
+    /**
+     * Add imported chats, with their folders and bookmarks, to storage
+     * @param {Object} imported - { chats, folders, bookmarks } with IDs already remapped
+     * @returns {boolean} - Whether the import was saved
+     */
+    importChats({ chats, folders = [], bookmarks = [] }) {
+        const data = this.getStorageData();
+        if (!data) return false;
+
+        chats.forEach(chat => {
+            this.trimMessages(chat);
+            chat.messageCount = chat.messages.length;
+        });
+
+        // Bookmarks on trimmed messages have nothing left to open
+        const messageIds = new Map(chats.map(chat => [chat.id, new Set(this.getAllChatMessages(chat).map(m => m.id))]));
+        bookmarks = bookmarks.filter(b => !messageIds.has(b.chatId) || messageIds.get(b.chatId).has(b.messageId));
+
+        // Keep the most recently updated chats when trimming to the limit
+        data.chats = [...chats, ...data.chats].sort((a, b) => new Date(b.updated) - new Date(a.updated));
+        data.folders = [...(data.folders || []), ...folders];
+        data.bookmarks = [...bookmarks, ...(data.bookmarks || [])];
+        this.trimChats(data);
+
+        return this.saveStorageData(data);
+    }
+
+    /**
+     * Get a specific chat by ID
+     * @param {string} chatId - Chat ID
+     * @returns {Object|null} - Copy of the chat, safe to modify, or null
+     */
+    getChat(chatId) {
+        const data = this.getStorageData();
+        if (!data) return null;
+
+        const chat = data.chats.find(c => c.id === chatId);
+        return chat ? JSON.parse(JSON.stringify(chat)) : null;
+    }
+
+    /**
+     * Get all chats that are not in the trash (archived chats included)
+     * The chats are the stored objects: read them, and change them through updateChat.
+     * @returns {Array} - Array of chat objects
+     */
+    getAllChats() {
+        const data = this.getStorageData();
+        return data ? data.chats.filter(chat => !chat.deletedAt) : [];
+    }
+
+    /**
+     * Get archived chats
+     * @returns {Array} - Archived chats, most recently updated first
+     */
+    getArchivedChats() {
+        return this.getAllChats()
+            .filter(chat => chat.archived)
+            .sort((a, b) => new Date(b.updated) - new Date(a.updated));
+    }
+
+    /**
+     * Get chats in the trash
+     * @returns {Array} - Trashed chats, most recently deleted first
+     */
+    getTrashedChats() {
+        const data = this.getStorageData();
+        if (!data) return [];
+
+        return data.chats
+            .filter(chat => chat.deletedAt)
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    /**
+     * Add message to a chat
+     * @param {string} chatId - Chat ID
+     * @param {Object} message - Message object
+     * @returns {string|boolean} - ID of the stored message, or false on failure
+     */
+    addMessageToChat(chatId, message) {
+        const data = this.getStorageData();
+        if (!data) return false;
+
+        const chat = data.chats.find(c => c.id === chatId);
+        if (!chat) return false;
+
+        // Add message with timestamp and ID
+        const messageWithMeta = {
+            id: this.generateMessageId(),
+            timestamp: new Date().toISOString(),
+            ...message
+        };
+
+        chat.messages.push(messageWithMeta);
+        chat.messageCount = chat.messages.length;
+        chat.updated = new Date().toISOString();
+
+        // Update chat title based on first user message if still "New Chat"
+        if (chat.title === 'New Chat' && message.type === 'user' && message.content) {
+            chat.title = this.generateChatTitle(message.content);
+        }
+
+        // Limit messages per chat
+        this.trimMessages(chat);
+
+        this.saveStorageData(data, chatId);
+        return messageWithMeta.id;
+    }
+
+    /**
+     * Update fields of a message in a chat's active path
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @param {Object} changes - Fields to merge into the message
+     * @returns {boolean} - Whether the message was updated
+     */
+    updateMessage(chatId, messageId, changes) {
+        const data = this.getStorageData();
+        if (!data) return false;
+
+        const chat = data.chats.find(c => c.id === chatId);
+        const message = chat ? chat.messages.find(m => m.id === messageId) : null;
+        if (!message) return false;
+
+        Object.assign(message, changes);
+        this.saveStorageData(data, chatId);
+        return true;
+    }
+
+    /**
+     * Bookmark or un-bookmark a message
+     * The message is flagged and listed in the bookmark index with its chat ID.
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} bookmarked - New bookmark state
+     * @returns {boolean} - Whether the change was saved
+     */
+    setBookmark(chatId, messageId, bookmarked) {
+        const data = this.getStorageData();
+        if (!data) return false;
+
+        const chat = data.chats.find(c => c.id === chatId);
+        const message = chat ? this.getAllChatMessages(chat).find(m => m.id === messageId) : null;
+        if (!message) return false;
+
+        message.bookmarked = bookmarked;
+        data.bookmarks = (data.bookmarks || []).filter(b => !(b.chatId === chatId && b.messageId === messageId));
+        if (bookmarked) {
+            data.bookmarks.unshift({ chatId, messageId, created: new Date().toISOString() });
+        }
+
+        return this.saveStorageData(data, chatId);
+    }
+
+    /**
+     * Get bookmarked messages with their chats, newest bookmark first
+     * Bookmarks whose chat or message no longer exists are skipped.
+     * @returns {Array<Object>} - { chatId, messageId, chatTitle, content, responseType, created }
+     */
+    getBookmarks() {
+        const data = this.getStorageData();
+        if (!data || !data.bookmarks) return [];
+
+        return data.bookmarks.map(bookmark => {
+            const chat = data.chats.find(c => c.id === bookmark.chatId && !c.deletedAt);
+            const message = chat ? this.getAllChatMessages(chat).find(m => m.id === bookmark.messageId) : null;
+            return message ? {
+                ...bookmark,
+                chatTitle: chat.title,
+                content: message.content,
+                responseType: message.responseType || 'text'
+            } : null;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Search the text of every message in every chat, including inactive branches
+     * A message matches when it contains all words of the query (case-insensitive).
+     * @param {string} query - Search text
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.type - 'user' or 'assistant' to search only those messages
+     * @param {Date} filters.from - Earliest message time
+     * @param {Date} filters.to - Latest message time
+     * @param {number} limit - Maximum number of results
+     * @returns {Array<Object>} - { chatId, chatTitle, messageId, type, content, timestamp }, newest first
+     */
+    searchMessages(query, filters = {}, limit = 50) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const results = [];
+        this.getAllChats().forEach(chat => {
+            this.getAllChatMessages(chat).forEach(message => {
+                if (message.type !== 'user' && message.type !== 'assistant') return;
+                if (message.responseType === 'image') return;
+                if (filters.type && message.type !== filters.type) return;
+
+                const time = new Date(message.timestamp);
+                if (filters.from && time < filters.from) return;
+                if (filters.to && time > filters.to) return;
+
+                const text = (message.content || '').toLowerCase();
+                if (terms.every(term => text.includes(term))) {
+                    results.push({
+                        chatId: chat.id,
+                        chatTitle: chat.title,
+                        messageId: message.id,
+                        type: message.type,
+                        content: message.content,
+                        timestamp: message.timestamp
+                    });
+                }
+            });
+        });
+
+        return results
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit);
+    }
+
+    /**
+     * Make a message part of its chat's active path, switching branches as needed
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @returns {boolean} - Whether the message is now on the active path
+     */
+    revealMessage(chatId, messageId) {
+        const chat = this.getChat(chatId);
+        if (!chat) return false;
+        if (chat.messages.some(m => m.id === messageId)) return true;
+
+        const location = this.findInBranches(chat, message => message.id === messageId);
+        if (!location) return false;
+
+        // The branch point must be on the active path before the branch can be switched
+        if (!chat.messages.some(m => m.branchGroup === location.groupId)) {
+            const branchPoint = this.findInBranches(chat, (message, groupId) =>
+                message.branchGroup === location.groupId && groupId !== location.groupId);
+            if (!branchPoint || !this.revealMessage(chatId, branchPoint.message.id)) {
+                return false;
+            }
+        }
+
+        return this.switchBranch(chatId, location.groupId, location.variantIndex);
+    }
+
+    /**
+     * Find a message stored in a chat's inactive branches
+     * @param {Object} chat - Chat object
+     * @param {Function} predicate - Called with (message, groupId)
+     * @returns {Object|null} - { groupId, variantIndex, message } or null
+     */
+    findInBranches(chat, predicate) {
+        for (const [groupId, group] of Object.entries(chat.branches || {})) {
+            for (let variantIndex = 0; variantIndex < group.variants.length; variantIndex++) {
+                const message = (group.variants[variantIndex] || []).find(m => predicate(m, groupId));
+                if (message) {
+                    return { groupId, variantIndex, message };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get every message of a chat, including those in inactive branches
+     * @param {Object} chat - Chat object
+     * @returns {Array<Object>} - Messages (active path first)
+     */
+    getAllChatMessages(chat) {
+        const messages = [...chat.messages];
+        Object.values(chat.branches || {}).forEach(group => {
+            group.variants.forEach(variant => {
+                if (variant) messages.push(...variant);
+            });
+        });
+        return messages;
     }
 
     /**
-     * Initialize storage and migrate old data if needed
+     * Collect the like/dislike feedback given on assistant messages
+     * @returns {Array<Object>} - { chatId, chatTitle, messageId, rating, reason, rule, content, timestamp }
      */
-    init() {
-        try {
-            // Test localStorage availability
-            const testKey = 'test_storage';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            
-            // Initialize storage structure if it doesn't exist
-            if (!this.getStorageData()) {
-                this.initializeStorage();
-            }
-            
-            console.log('Storage initialized successfully');
-            return true;
-        } catch (error) {
-            console.warn('localStorage not available:', error);
-            return false;
+    getAllFeedback() {
+        const feedback = [];
+        this.getAllChats().forEach(chat => {
+            this.getAllChatMessages(chat).forEach(message => {
+                if (message.type === 'assistant' && message.feedback && message.feedback.rating) {
+                    feedback.push({
+                        chatId: chat.id,
+                        chatTitle: chat.title,
+                        messageId: message.id,
+                        rating: message.feedback.rating,
+                        reason: message.feedback.reason || null,
+                        rule: message.rule || null,
+                        content: message.content,
+                        timestamp: message.feedback.timestamp
+                    });
+                }
+            });
+        });
+        return feedback;
+    }
+
+    /**
+     * Replace a message and everything after it with a new continuation.
+     * The replaced continuation is kept as a sibling branch in chat.branches,
+     * keyed by the branchGroup ID shared by the first message of each branch;
+     * chat.messages always holds the active path.
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - First message of the continuation to replace
+     * @param {Array<Object>} messages - Messages of the new continuation
+     * @returns {Array<Object>|null} - The stored new messages, or null on failure
+     */
+    forkChat(chatId, messageId, messages) {
+        const data = this.getStorageData();
+        if (!data) return null;
+
+        const chat = data.chats.find(c => c.id === chatId);
+        if (!chat) return null;
+
+        const index = chat.messages.findIndex(m => m.id === messageId);
+        if (index === -1) return null;
+
+        const groupId = chat.messages[index].branchGroup || this.generateBranchId();
+        chat.branches = chat.branches || {};
+        const group = chat.branches[groupId] || { active: 0, variants: [null] };
+
+        // Stash the current continuation; the active variant lives in chat.messages
+        chat.messages[index].branchGroup = groupId;
+        group.variants[group.active] = chat.messages.slice(index);
+
+        const now = new Date().toISOString();
+        const continuation = messages.map((message, i) => ({
+            id: this.generateMessageId(),
+            timestamp: now,
+            ...message,
+            ...(i === 0 ? { branchGroup: groupId } : {})
+        }));
+
+        group.variants.push(null);
+        group.active = group.variants.length - 1;
+        chat.branches[groupId] = group;
+
+        chat.messages = chat.messages.slice(0, index).concat(continuation);
+        chat.messageCount = chat.messages.length;
+        chat.updated = now;
+
+        this.saveStorageData(data, chatId);
+        return continuation;
+    }
+
+    /**
+     * Make another sibling branch the active path of a chat
+     * @param {string} chatId - Chat ID
+     * @param {string} groupId - Branch group ID
+     * @param {number} variantIndex - Branch to activate
+     * @returns {boolean} - Whether the branch was switched
+     */
+    switchBranch(chatId, groupId, variantIndex) {
+        const data = this.getStorageData();
+        if (!data) return false;
+
+        const chat = data.chats.find(c => c.id === chatId);
+        const group = chat && chat.branches ? chat.branches[groupId] : null;
+        if (!group || !group.variants[variantIndex]) {
+            return variantIndex === (group && group.active);
         }
+
+        const index = chat.messages.findIndex(m => m.branchGroup === groupId);
+        if (index === -1) return false;
+
+        group.variants[group.active] = chat.messages.slice(index);
+        chat.messages = chat.messages.slice(0, index).concat(group.variants[variantIndex]);
+        group.variants[variantIndex] = null;
+        group.active = variantIndex;
+
+        chat.messageCount = chat.messages.length;
+        chat.updated = new Date().toISOString();
+
+        this.saveStorageData(data, chatId);
+        return true;
     }
 
     /**
-     * Initialize empty storage structure
+     * Get the branch position of a message that starts a branch
+     * @param {Object} chat - Chat object
+     * @param {Object} message - Message in the chat's active path
+     * @returns {Object|null} - { groupId, index, count }, or null if the message has no siblings
      */
-    initializeStorage() {
-        const initialData = {
-            chats: [],
-            currentChatId: null,
-            settings: {
-                version: '2.0',
-                created: new Date().toISOString()
-            }
+    getBranchInfo(chat, message) {
+        const group = message.branchGroup && chat.branches ? chat.branches[message.branchGroup] : null;
+        if (!group || group.variants.length < 2) return null;
+
+        return {
+            groupId: message.branchGroup,
+            index: group.active,
+            count: group.variants.length
         };
-        
-        this.saveStorageData(initialData);
     }
 
     /**
-     * Get all storage data
-     * @returns {Object|null} - Storage data or null if not available
+     * Update fields of a chat
+     * @param {string} chatId - Chat ID
+     * @param {Object} changes - Fields to merge into the chat
+     * @returns {boolean} - Whether the chat was updated
      */
-    getStorageData() {
-        try {
-            const data = localStorage.getItem(this.storageKey);
-            return data ? JSON.parse(data) : null;
-        } catch (error) {
-            console.error('Error reading storage:', error);
-            return null;
-        }
+    updateChat(chatId, changes) {
+        const data = this.getStorageData();
+        if (!data) return false;
+
+        const chat = data.chats.find(c => c.id === chatId);
+        if (!chat) return false;
+
+        Object.assign(chat, changes);
+        this.saveStorageData(data, chatId);
+        return true;
     }
 
     /**
-     * Save storage data
-     * @param {Object} data - Data to save
+     * Rename a chat
+     * @param {string} chatId - Chat ID
+     * @param {string} title - New title
+     * @returns {boolean} - Whether the chat was renamed
      */
-    saveStorageData(data) {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
-            return true;
-        } catch (error) {
-            console.error('Error saving storage:', error);
+    renameChat(chatId, title) {
+        const trimmed = (title || '').replace(/\s+/g, ' ').trim();
+        if (!trimmed) return false;
+
+        return this.updateChat(chatId, { title: trimmed });
+    }
+
+    /**
+     * Pin a chat to the top of the sidebar or unpin it
+     * @param {string} chatId - Chat ID
+     * @param {boolean} pinned - Whether the chat is pinned
+     * @returns {boolean} - Whether the chat was updated
+     */
+    setChatPinned(chatId, pinned) {
+        return this.updateChat(chatId, { pinned: Boolean(pinned) });
+    }
+
+    /**
+     * Move a chat into a folder or back out of one
+     * @param {string} chatId - Chat ID
+     * @param {string|null} folderId - Target folder ID, or null for no folder
+     * @returns {boolean} - Whether the chat was moved
+     */
+    moveChatToFolder(chatId, folderId) {
+        if (folderId && !this.getFolders().some(f => f.id === folderId)) {
+            console.warn('Folder not found:', folderId);
             return false;
         }
+
+        return this.updateChat(chatId, { folderId: folderId || null });
     }
 
     /**
-     * Create a new chat session
-     * @param {string} title - Optional chat title
-     * @returns {string} - New chat ID
+     * Get all chat folders
+     * @returns {Array} - Array of folder objects
      */
-    createNewChat(title = null) {
-        const chatId = this.generateChatId();
-        const chat = {
-            id: chatId,
-            title: title || 'New Chat',
-            messages: [],
-            created: new Date().toISOString(),
-            updated: new Date().toISOString(),
-            messageCount: 0
-        };
+    getFolders() {
+        const data = this.getStorageData();
+        return data && data.folders ? data.folders : [];
+    }
 
+    /**
+     * Create a chat folder
+     * @param {string} name - Folder name
+     * @returns {string|null} - New folder ID or null on failure
+     */
+    createFolder(name) {
         const data = this.getStorageData();
         if (!data) return null;
 
-        // Add new chat to beginning of array
-        data.chats.unshift(chat);
-        
-        // Limit number of stored chats
-        if (data.chats.length > this.maxChats) {
-            data.chats = data.chats.slice(0, this.maxChats);
-        }
+        const folder = {
+            id: this.generateFolderId(),
+            name: (name || '').trim() || 'New Folder',
+            collapsed: false,
+            created: new Date().toISOString()
+        };
 
-        data.currentChatId = chatId;
+        data.folders = data.folders || [];
+        data.folders.push(folder);
         this.saveStorageData(data);
+        return folder.id;
+    }
 
-        console.log('Created new chat:', chatId);
-        return chatId;
+    /**
+     * Update fields of a folder
+     * @param {string} folderId - Folder ID
+     * @param {Object} changes - Fields to merge into the folder
+     * @returns {boolean} - Whether the folder was updated
+     */
+    updateFolder(folderId, changes) {
+        const data = this.getStorageData();
+        if (!data) return false;
+
+        const folder = (data.folders || []).find(f => f.id === folderId);
+        if (!folder) return false;
+
+        Object.assign(folder, changes);
+        this.saveStorageData(data);
+        return true;
     }
 
     /**
-     * Get a specific chat by ID
+     * Rename a folder
+     * @param {string} folderId - Folder ID
+     * @param {string} name - New name
+     * @returns {boolean} - Whether the folder was renamed
+     */
+    renameFolder(folderId, name) {
+        const trimmed = (name || '').replace(/\s+/g, ' ').trim();
+        if (!trimmed) return false;
+
+        return this.updateFolder(folderId, { name: trimmed });
+    }
+
+    /**
+     * Delete a folder; its chats move back to the main list
+     * @param {string} folderId - Folder ID
+     * @returns {boolean} - Whether the folder was deleted
+     */
+    deleteFolder(folderId) {
+        const data = this.getStorageData();
+        if (!data) return false;
+
+        const folders = data.folders || [];
+        const index = folders.findIndex(f => f.id === folderId);
+        if (index === -1) return false;
+
+        folders.splice(index, 1);
+        data.chats.forEach(chat => {
+            if (chat.folderId === folderId) {
+                chat.folderId = null;
+            }
+        });
+
+        this.saveStorageData(data);
+        return true;
+    }
+
+    /**
+     * Get the conversation flow state of a chat
      * @param {string} chatId - Chat ID
-     * @returns {Object|null} - Chat object or null
+     * @returns {string|null} - Current state or null if no flow is active
      */
-    getChat(chatId) {
+    getChatState(chatId) {
         const data = this.getStorageData();
-        if (!data) return null;
+        const chat = data ? data.chats.find(c => c.id === chatId) : null;
+        return chat ? chat.state || null : null;
+    }
 
-        return data.chats.find(chat => chat.id === chatId) || null;
+    /**
+     * Set the conversation flow state of a chat
+     * @param {string} chatId - Chat ID
+     * @param {string|null} state - New state, or null to end the flow
+     */
+    setChatState(chatId, state) {
+        return this.updateChat(chatId, { state: state || null });
     }
 
     /**
-     * Get all chats
-     * @returns {Array} - Array of chat objects
+     * Archive a chat to hide it from the chat list, or bring it back
+     * @param {string} chatId - Chat ID
+     * @param {boolean} archived - Whether the chat is archived
+     * @returns {boolean} - Whether the chat was updated
      */
-    getAllChats() {
+    setChatArchived(chatId, archived) {
+        return this.updateChat(chatId, { archived: Boolean(archived) });
+    }
+
+    /**
+     * Move chats to the trash; they are purged after the retention period
+     * @param {Array<string>} chatIds - Chat IDs to trash
+     * @returns {boolean} - Whether any chat was trashed
+     */
+    trashChats(chatIds) {
         const data = this.getStorageData();
-        return data ? data.chats : [];
+        if (!data) return false;
+
+        const deletedAt = new Date().toISOString();
+        const trashed = data.chats.filter(c => chatIds.includes(c.id) && !c.deletedAt);
+        trashed.forEach(chat => {
+            chat.deletedAt = deletedAt;
+        });
+
+        if (chatIds.includes(data.currentChatId)) {
+            data.currentChatId = null;
+        }
+
+        this.saveStorageData(data);
+        return trashed.length > 0;
     }
 
     /**
-     * Add message to a chat
+     * Move a chat to the trash
      * @param {string} chatId - Chat ID
-     * @param {Object} message - Message object
+     * @returns {boolean} - Whether the chat was trashed
      */
-    addMessageToChat(chatId, message) {
+    trashChat(chatId) {
+        return this.trashChats([chatId]);
+    }
+
+    /**
+     * Restore chats from the trash
+     * @param {Array<string>} chatIds - Chat IDs to restore
+     * @returns {boolean} - Whether any chat was restored
+     */
+    restoreChats(chatIds) {
         const data = this.getStorageData();
         if (!data) return false;
 
-        const chat = data.chats.find(c => c.id === chatId);
-        if (!chat) return false;
+        const restored = data.chats.filter(c => chatIds.includes(c.id) && c.deletedAt);
+        restored.forEach(chat => {
+            chat.deletedAt = null;
+        });
 
-        // Add message with timestamp and ID
-        const messageWithMeta = {
-            id: this.generateMessageId(),
-            timestamp: new Date().toISOString(),
-            ...message
-        };
+        this.saveStorageData(data);
+        return restored.length > 0;
+    }
 
-        chat.messages.push(messageWithMeta);
-        chat.messageCount = chat.messages.length;
-        chat.updated = new Date().toISOString();
+    /**
+     * Permanently delete every chat in the trash
+     * @returns {number} - Number of chats deleted
+     */
+    emptyTrash() {
+        return this.deleteChats(this.getTrashedChats().map(chat => chat.id));
+    }
 
-        // Update chat title based on first user message if still "New Chat"
-        if (chat.title === 'New Chat' && message.type === 'user' && message.content) {
-            chat.title = this.generateChatTitle(message.content);
+    /**
+     * Permanently delete trashed chats older than the retention period
+     * @returns {number} - Number of chats purged
+     */
+    purgeTrash() {
+        const days = this.getSettings().trashRetentionDays;
+        if (!days) return 0;
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const expired = this.getTrashedChats()
+            .filter(chat => new Date(chat.deletedAt).getTime() < cutoff)
+            .map(chat => chat.id);
+
+        if (expired.length > 0) {
+            console.log(`Purging ${expired.length} chat(s) from the trash`);
         }
+        return this.deleteChats(expired);
+    }
 
-        // Limit messages per chat
-        if (chat.messages.length > this.maxMessagesPerChat) {
-            chat.messages = chat.messages.slice(-this.maxMessagesPerChat);
-            chat.messageCount = chat.messages.length;
+    /**
+     * Permanently delete several chats
+     * @param {Array<string>} chatIds - Chat IDs to delete
+     * @returns {number} - Number of chats deleted
+     */
+    deleteChats(chatIds) {
+        if (chatIds.length === 0) return 0;
+
+        const data = this.getStorageData();
+        if (!data) return 0;
+
+        const before = data.chats.length;
+        data.chats = data.chats.filter(c => !chatIds.includes(c.id));
+        data.bookmarks = (data.bookmarks || []).filter(b => !chatIds.includes(b.chatId));
+
+        if (chatIds.includes(data.currentChatId)) {
+            data.currentChatId = null;
         }
 
         this.saveStorageData(data);
-        return true;
+        return before - data.chats.length;
     }
 
     /**
-     * Delete a chat
+     * Permanently delete a chat
      * @param {string} chatId - Chat ID to delete
      */
     deleteChat(chatId) {
@@ -182,6 +1581,7 @@ class StorageManager {
         if (chatIndex === -1) return false;
 
         data.chats.splice(chatIndex, 1);
+        data.bookmarks = (data.bookmarks || []).filter(b => b.chatId !== chatId);
 
         // If this was the current chat, clear current chat ID
         if (data.currentChatId === chatId) {
@@ -200,6 +1600,7 @@ class StorageManager {
         if (!data) return false;
 
         data.chats = [];
+        data.bookmarks = [];
         data.currentChatId = null;
         this.saveStorageData(data);
         return true;
@@ -235,6 +1636,22 @@ class StorageManager {
         return 'chat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Generate unique branch group ID
+     * @returns {string} - Unique branch group ID
+     */
+    generateBranchId() {
+        return 'branch_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Generate unique folder ID
+     * @returns {string} - Unique folder ID
+     */
+    generateFolderId() {
+        return 'folder_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
     /**
      * Generate unique message ID
      * @returns {string} - Unique message ID
@@ -275,18 +1692,152 @@ class StorageManager {
         if (!data) return null;
 
         const totalMessages = data.chats.reduce((sum, chat) => sum + chat.messageCount, 0);
-        const storageSize = new Blob([JSON.stringify(data)]).size;
+        const storageSize = this.getByteSize(data);
+        const chats = data.chats
+            .map(chat => ({
+                id: chat.id,
+                title: chat.title,
+                messageCount: this.getAllChatMessages(chat).length,
+                size: this.getByteSize(chat),
+                sizeFormatted: this.formatBytes(this.getByteSize(chat)),
+                updated: chat.updated,
+                pinned: Boolean(chat.pinned),
+                archived: Boolean(chat.archived),
+                deletedAt: chat.deletedAt || null
+            }))
+            .sort((a, b) => b.size - a.size);
 
         return {
             totalChats: data.chats.length,
+            maxChats: this.maxChats,
             totalMessages: totalMessages,
             storageSize: storageSize,
             storageSizeFormatted: this.formatBytes(storageSize),
             oldestChat: data.chats.length > 0 ? data.chats[data.chats.length - 1].created : null,
-            newestChat: data.chats.length > 0 ? data.chats[0].created : null
+            newestChat: data.chats.length > 0 ? data.chats[0].created : null,
+            chats: chats
+        };
+    }
+
+    /**
+     * Get how much of the browser's storage quota is used
+     * @returns {Promise<Object>} - { backend, usage, quota, percent } (sizes in bytes, null when unknown)
+     */
+    async getQuotaStats() {
+        if (!this.backend) return { backend: null, usage: null, quota: null, percent: null };
+
+        let estimate = { usage: null, quota: null };
+        try {
+            estimate = await this.backend.estimate();
+        } catch (error) {
+            console.warn('Could not estimate storage usage:', error);
+        }
+
+        return {
+            backend: this.backend.name,
+            usage: estimate.usage,
+            quota: estimate.quota,
+            percent: estimate.usage !== null && estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : null
         };
     }
 
+    /**
+     * Get the UTF-8 size of a value stored as JSON
+     * @param {*} value - Value to measure
+     * @returns {number} - Size in bytes
+     */
+    getByteSize(value) {
+        return new Blob([JSON.stringify(value)]).size;
+    }
+
+    /**
+     * Get chats that have not been updated for a number of days
+     * @param {number} days - Age in days
+     * @returns {Array<Object>} - Chats (pinned chats are never included)
+     */
+    getChatsOlderThan(days) {
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const data = this.getStorageData();
+        if (!data) return [];
+
+        return data.chats.filter(chat => !chat.pinned && new Date(chat.updated).getTime() < cutoff);
+    }
+
+    /**
+     * Permanently delete chats that have not been updated for a number of days
+     * @param {number} days - Age in days
+     * @returns {number} - Number of chats deleted
+     */
+    deleteChatsOlderThan(days) {
+        return this.deleteChats(this.getChatsOlderThan(days).map(chat => chat.id));
+    }
+
+    /**
+     * Replace images embedded in messages (data: URLs) with a short note.
+     * Images referenced by URL take almost no space and are kept.
+     * @returns {Object} - { messages, bytes } removed
+     */
+    dropImagePayloads() {
+        const data = this.getStorageData();
+        if (!data) return { messages: 0, bytes: 0 };
+
+        const before = this.getByteSize(data);
+        let count = 0;
+        data.chats.forEach(chat => {
+            this.getAllChatMessages(chat).forEach(message => {
+                if (message.responseType === 'image' && /^data:/i.test(message.content || '')) {
+                    message.content = '[Image removed to free up storage]';
+                    message.responseType = 'text';
+                    message.imageRemoved = true;
+                    count++;
+                } else if (Array.isArray(message.parts) && message.parts.some(part => part.type === 'image' && /^data:/i.test(part.value || ''))) {
+                    // Composite responses also embed the image in their Markdown text
+                    message.parts = message.parts.map(part => (part.type === 'image' && /^data:/i.test(part.value || '') ?
+                        { type: 'text', value: '[Image removed to free up storage]' } : part));
+                    message.content = (message.content || '').replace(/!\[[^\]]*\]\(<?data:[^)]*\)/gi, '[Image removed to free up storage]');
+                    message.imageRemoved = true;
+                    count++;
+                }
+            });
+        });
+
+        if (count > 0) {
+            this.saveStorageData(data);
+        }
+        return { messages: count, bytes: before - this.getByteSize(data) };
+    }
+
+    /**
+     * Compact chat history by dropping the older versions kept for edited and
+     * regenerated messages; every chat keeps the version currently shown
+     * @returns {Object} - { versions, bytes } removed
+     */
+    compactHistory() {
+        const data = this.getStorageData();
+        if (!data) return { versions: 0, bytes: 0 };
+
+        const before = this.getByteSize(data);
+        let count = 0;
+        data.chats.forEach(chat => {
+            if (!chat.branches) return;
+
+            Object.values(chat.branches).forEach(group => {
+                count += group.variants.filter(variant => variant).length;
+            });
+            delete chat.branches;
+            chat.messages.forEach(message => delete message.branchGroup);
+
+            // Bookmarks on removed versions have nothing left to open
+            const messageIds = chat.messages.map(message => message.id);
+            data.bookmarks = (data.bookmarks || []).filter(b => b.chatId !== chat.id || messageIds.includes(b.messageId));
+        });
+
+        if (count > 0) {
+            this.saveStorageData(data);
+        }
+        return { versions: count, bytes: before - this.getByteSize(data) };
+    }
+
     /**
      * Format bytes to human readable string
      * @param {number} bytes - Bytes to format
@@ -295,7 +1846,7 @@ class StorageManager {
     formatBytes(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB'];
+        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
         const i = Math.floor(Math.log(bytes) / Math.log(k));
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
@@ -311,19 +1862,14 @@ class StorageManager {
 
     /**
      * Check if storage is available
-     * @returns {boolean} - Whether localStorage is available
+     * @returns {boolean} - Whether chats are persisted by a storage backend
      */
     isAvailable() {
-        try {
-            const testKey = 'test_storage_availability';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            return true;
-        } catch (error) {
-            return false;
-        }
+        return this.backend !== null;
     }
 }
 
 // Create global instance
+window.LocalStorageBackend = LocalStorageBackend;
+window.IndexedDBBackend = IndexedDBBackend;
 window.StorageManager = StorageManager;
\ No newline at end of file
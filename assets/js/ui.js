@@ -10,9 +10,14 @@ class UIManager {
         this.sendButton = null;
         this.modeToggle = null;
         this.chatForm = null;
+        this.stopButton = null;
         
         this.isImageMode = false;
         this.messageIdCounter = 0;
+        this.activeStream = null;
+        this.sanitizer = new HtmlSanitizer();
+        this.markdownRenderer = new MarkdownRenderer();
+        this.currentModel = { name: 'Meta Llama 4 Scout 17B Instruct', icon: '🤖' };
     }
 
     /**
@@ -25,6 +30,7 @@ class UIManager {
         this.sendButton = document.querySelector('.composer__send');
         this.modeToggle = document.getElementById('modeToggle');
         this.chatForm = document.getElementById('chatForm');
+        this.stopButton = document.getElementById('stopButton');
 
         if (!this.chatMessages || !this.messageInput || !this.sendButton || !this.modeToggle || !this.chatForm) {
             console.error('Required DOM elements not found');
@@ -47,6 +53,19 @@ class UIManager {
             this.toggleMode();
         });
 
+        // Copy buttons of code blocks and citation markers, which are re-rendered while streaming
+        this.chatMessages.addEventListener('click', (e) => {
+            const copyButton = e.target.closest('.markdown__copy');
+            if (copyButton) {
+                this.copyCodeBlock(copyButton);
+            }
+
+            const citation = e.target.closest('.markdown__citation-link');
+            if (citation) {
+                this.showSource(citation);
+            }
+        });
+
         // Keyboard shortcuts
         this.messageInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -63,6 +82,13 @@ class UIManager {
             this.handleSendMessage();
         });
 
+        // Stop generating
+        if (this.stopButton) {
+            this.stopButton.addEventListener('click', () => {
+                this.stopStreaming();
+            });
+        }
+
         // Auto-resize input (if needed in future)
         this.messageInput.addEventListener('input', () => {
             this.adjustInputHeight();
@@ -74,20 +100,20 @@ class UIManager {
      */
     handleSendMessage() {
         const message = this.messageInput.value.trim();
-        if (!message) return;
+        if (!message || this.isBusy()) return;
 
         // Disable send button temporarily
         this.setSendButtonState(false);
 
         // Add user message to chat
-        this.addMessage(message, 'user');
+        const messageElement = this.addMessage(message, 'user');
 
         // Clear input
         this.clearInput();
 
         // Trigger message processing (will be handled by chat module)
         if (window.chatManager) {
-            window.chatManager.processUserMessage(message);
+            window.chatManager.processUserMessage(message, messageElement);
         }
     }
 
@@ -96,65 +122,81 @@ class UIManager {
      * @param {string} content - Message content
      * @param {string} type - Message type: 'user', 'assistant', 'system'
      * @param {Object} options - Additional options
+     * @param {string} options.messageId - ID of the stored message
+     * @param {Object} options.branch - Sibling branch position ({ index, count }) for "< 1/2 >" controls
      */
     addMessage(content, type = 'assistant', options = {}) {
         const messageId = `message-${++this.messageIdCounter}`;
         const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const model = options.model || this.currentModel;
         
         const messageElement = document.createElement('div');
         messageElement.className = `message message--${type}`;
         messageElement.id = messageId;
+        if (options.messageId) {
+            messageElement.dataset.messageId = options.messageId;
+        }
         messageElement.setAttribute('role', type === 'system' ? 'status' : 'article');
 
         let contentHtml = '';
         
         if (type === 'user') {
-            // Handle user message
-            const formattedContent = this.formatMessageContent(content);
+            // Handle user message (shown as typed, not as Markdown)
+            const formattedContent = this.formatPlainText(content);
             contentHtml = `
                 <div class="message__content">
                     ${formattedContent}
                 </div>
                 <div class="message__timestamp">${timestamp}</div>
+                ${this.generateUserActionButtons(options.branch)}
             `;
         } else if (type === 'assistant' || type === 'system') {
             // Handle assistant/system message with full structure
             if (options.isImage) {
+                const src = this.sanitizer.sanitizeUrl(content, true);
                 contentHtml = `
                     <div class="message__content">
                         <div class="message__header">
-                            <span class="message__model-icon">🤖</span>
-                            <span class="message__model-name">Meta Llama 4 Scout 17B Instruct</span>
-                            <span class="message__metadata">${this.generateMetadata()}</span>
+                            <span class="message__model-icon">${this.escapeHtml(model.icon || '🤖')}</span>
+                            <span class="message__model-name">${this.escapeHtml(model.name)}</span>
+                            <span class="message__metadata">${this.escapeHtml(this.generateMetadata(options.metadata))}</span>
                         </div>
                         <div class="message__text">
-                            <img src="${content}" alt="Response image" class="message__image"
-                                 onerror="this.parentElement.innerHTML='<p>Image could not be loaded: ${content}</p>'">
+                            ${src ? `<img src="${this.escapeHtml(src)}" alt="Response image" class="message__image">` :
+                                `<p>Image could not be loaded: ${this.escapeHtml(content)}</p>`}
                         </div>
-                        ${this.generateActionButtons()}
+                        ${this.generateActionButtons(options)}
                         ${options.followup ? this.generateFollowupSection(options.followup) : ''}
                     </div>
                 `;
             } else {
-                const formattedContent = this.formatMessageContent(content);
+                const details = options.details || {};
+                const formattedContent = details.parts && !options.streaming ?
+                    this.generateParts(details.parts, this.countSources(details)) :
+                    this.formatMessageContent(content, this.countSources(details));
                 contentHtml = `
                     <div class="message__content">
                         <div class="message__header">
-                            <span class="message__model-icon">🤖</span>
-                            <span class="message__model-name">Meta Llama 4 Scout 17B Instruct</span>
-                            <span class="message__metadata">${this.generateMetadata()}</span>
+                            <span class="message__model-icon">${this.escapeHtml(model.icon || '🤖')}</span>
+                            <span class="message__model-name">${this.escapeHtml(model.name)}</span>
+                            <span class="message__metadata">${options.streaming ? '' : this.escapeHtml(this.generateMetadata(options.metadata))}</span>
                         </div>
+                        ${this.generateResponseLead(details)}
                         <div class="message__text">
                             ${formattedContent}
                         </div>
-                        ${this.generateActionButtons()}
-                        ${options.followup ? this.generateFollowupSection(options.followup) : ''}
+                        ${this.generateResponseExtras(details, options.streaming)}
+                        ${options.stopped ? '<div class="message__stopped">Generation stopped</div>' : ''}
+                        ${options.streaming ? '' : this.generateActionButtons(options)}
+                        ${options.followup && !options.streaming ? this.generateFollowupSection(options.followup) : ''}
                     </div>
                 `;
             }
         }
 
-        messageElement.innerHTML = contentHtml;
+        this.sanitizer.setHtml(messageElement, contentHtml);
+        this.bindImageFallback(messageElement);
+        this.bindFileDownloads(messageElement, options.details);
 
         // Add event listeners for action buttons and follow-up suggestions
         this.setupMessageEventListeners(messageElement, options);
@@ -165,22 +207,382 @@ class UIManager {
         // Scroll to bottom
         this.scrollToBottom();
 
-        // Re-enable send button
-        this.setSendButtonState(true);
+        // Re-enable send button (streamed messages re-enable it when they finish)
+        if (!options.streaming) {
+            this.renderRichContent(messageElement);
+            this.setSendButtonState(true);
+        } else {
+            messageElement.classList.add('message--streaming');
+        }
 
         return messageElement;
     }
 
     /**
-     * Format message content (handle line breaks, etc.)
+     * Reveal a message's text token by token
+     * @param {HTMLElement} messageElement - Message created with the streaming option
+     * @param {string} content - Full text to reveal
+     * @param {Object} config - Streaming settings
+     * @param {number} config.tokensPerSecond - Average reveal speed
+     * @param {number} config.jitter - Random variation of each token's delay (0-1)
+     * @returns {Promise<Object>} - Resolves with { text, stopped } when done or stopped
+     */
+    streamMessage(messageElement, content, config) {
+        // Words with their leading whitespace, so joining tokens restores the text
+        const tokens = content.match(/\s*\S+/g) || [];
+        const baseDelay = 1000 / Math.max(config.tokensPerSecond || 1, 1);
+        const jitter = Math.min(Math.max(config.jitter || 0, 0), 1);
+
+        this.setStopButtonVisible(true);
+
+        return new Promise(resolve => {
+            let index = 0;
+            let timer = null;
+
+            const finish = (stopped) => {
+                clearTimeout(timer);
+                this.activeStream = null;
+                this.setStopButtonVisible(false);
+                resolve({
+                    text: stopped ? tokens.slice(0, index).join('') : content,
+                    stopped
+                });
+            };
+
+            const step = () => {
+                index++;
+                this.updateMessageText(messageElement, tokens.slice(0, index).join(''), true);
+
+                if (index >= tokens.length) {
+                    finish(false);
+                    return;
+                }
+
+                const variation = 1 + jitter * (Math.random() * 2 - 1);
+                timer = setTimeout(step, baseDelay * variation);
+            };
+
+            this.activeStream = { stop: () => finish(true) };
+
+            if (tokens.length === 0) {
+                finish(false);
+            } else {
+                step();
+            }
+        });
+    }
+
+    /**
+     * Stop the message that is currently streaming, keeping the text shown so far
+     */
+    stopStreaming() {
+        if (this.activeStream) {
+            this.activeStream.stop();
+        }
+    }
+
+    /**
+     * Check whether a message is currently streaming
+     * @returns {boolean} - Whether a stream is active
+     */
+    isStreaming() {
+        return this.activeStream !== null;
+    }
+
+    /**
+     * Replace the text of a rendered message
+     * @param {HTMLElement} messageElement - The message element
+     * @param {string} content - New raw content
+     * @param {boolean} showCursor - Whether to show the streaming cursor
+     */
+    updateMessageText(messageElement, content, showCursor = false) {
+        const textElement = messageElement.querySelector('.message__text');
+        if (!textElement) return;
+
+        const shouldScroll = this.isNearBottom();
+        const citations = messageElement.querySelectorAll('.message__source').length;
+        this.sanitizer.setHtml(textElement, this.formatMessageContent(content, citations) +
+            (showCursor ? '<span class="message__cursor" aria-hidden="true"></span>' : ''));
+
+        if (shouldScroll) {
+            this.scrollToBottom();
+        }
+    }
+
+    /**
+     * Complete a streamed message with its metadata, actions and follow-ups
+     * @param {HTMLElement} messageElement - The streamed message element
+     * @param {string} content - Final raw content
+     * @param {Object} options - Message options (followup, stopped, details)
+     */
+    finishStreamingMessage(messageElement, content, options = {}) {
+        // A composite response streams as Markdown, then each part gets its own renderer
+        const parts = options.details && options.details.parts;
+        if (parts && !options.stopped) {
+            const citations = messageElement.querySelectorAll('.message__source').length;
+            this.sanitizer.setHtml(messageElement.querySelector('.message__text'), this.generateParts(parts, citations));
+            this.bindImageFallback(messageElement);
+        } else {
+            this.updateMessageText(messageElement, content);
+        }
+        messageElement.classList.remove('message--streaming');
+        messageElement.querySelectorAll('.message__extras').forEach(extras => { extras.hidden = false; });
+        this.renderRichContent(messageElement);
+
+        const metadataElement = messageElement.querySelector('.message__metadata');
+        if (metadataElement) {
+            metadataElement.textContent = this.generateMetadata(options.metadata);
+        }
+
+        const contentElement = messageElement.querySelector('.message__content');
+        if (options.stopped) {
+            this.sanitizer.insertHtml(contentElement, 'beforeend', '<div class="message__stopped">Generation stopped</div>');
+        }
+        this.sanitizer.insertHtml(contentElement, 'beforeend', this.generateActionButtons(options));
+        if (options.followup && !options.stopped) {
+            this.sanitizer.insertHtml(contentElement, 'beforeend', this.generateFollowupSection(options.followup));
+        }
+
+        this.setupMessageEventListeners(messageElement, options);
+        this.scrollToBottom();
+        this.setSendButtonState(true);
+    }
+
+    /**
+     * Show a note instead of response images that fail to load
+     * @param {HTMLElement} messageElement - The message element
+     */
+    bindImageFallback(messageElement) {
+        messageElement.querySelectorAll('.message__image').forEach(image => {
+            image.addEventListener('error', () => {
+                const note = document.createElement('p');
+                note.textContent = `Image could not be loaded: ${image.getAttribute('src')}`;
+                image.replaceWith(note);
+            });
+        });
+    }
+
+    /**
+     * Render math and diagrams once a message's text is final
+     * (while streaming they stay as source, since the text keeps changing)
+     * @param {HTMLElement} messageElement - The message element
+     */
+    renderRichContent(messageElement) {
+        const textElement = messageElement.querySelector('.message__text');
+        if (!textElement) return;
+
+        const shouldScroll = this.isNearBottom();
+        this.markdownRenderer.enhance(textElement).then(() => {
+            if (shouldScroll) {
+                this.scrollToBottom();
+            }
+        });
+    }
+
+    /**
+     * Show or hide the stop generating button
+     * @param {boolean} visible - Whether the button should be visible
+     */
+    setStopButtonVisible(visible) {
+        if (this.stopButton) {
+            this.stopButton.hidden = !visible;
+        }
+    }
+
+    /**
+     * Check if the chat is scrolled to (or near) the bottom
+     * @returns {boolean} - Whether new content should keep the view pinned to the bottom
+     */
+    isNearBottom() {
+        const distance = this.chatMessages.scrollHeight - this.chatMessages.scrollTop - this.chatMessages.clientHeight;
+        return distance < 80;
+    }
+
+    /**
+     * Format response content as sanitized Markdown
+     * @param {string} content - Raw content
+     * @param {number} citations - Number of sources [1], [2]... markers may point at
+     * @returns {string} - Formatted HTML content
+     */
+    formatMessageContent(content, citations = 0) {
+        return `<div class="markdown">${this.markdownRenderer.render(content, { citations })}</div>`;
+    }
+
+    /**
+     * Render the parts of a composite response in order, each with its own renderer
+     * @param {Array<Object>} parts - Parts (see MessageMatcher.validatePart)
+     * @param {number} citations - Number of sources text parts may cite
+     * @returns {string} - HTML
+     */
+    generateParts(parts, citations = 0) {
+        return parts.map(part => {
+            const html = this.generatePart(part, citations);
+            return html ? `<div class="message__part message__part--${this.escapeHtml(part.type)}">${html}</div>` : '';
+        }).join('');
+    }
+
+    /**
+     * Render one part of a composite response
+     * @param {Object} part - { type, ... }
+     * @param {number} citations - Number of sources a text part may cite
+     * @returns {string} - HTML (empty for unknown part types)
+     */
+    generatePart(part, citations) {
+        switch (part.type) {
+            case 'text':
+                return this.formatMessageContent(part.value, citations);
+            case 'image': {
+                const src = this.sanitizer.sanitizeUrl(part.value, true);
+                const image = src ?
+                    `<img src="${this.escapeHtml(src)}" alt="${this.escapeHtml(part.alt || part.caption || 'Response image')}" class="message__image" loading="lazy">` :
+                    `<p>Image could not be loaded: ${this.escapeHtml(part.value)}</p>`;
+                return `
+                    <figure class="message__figure">
+                        ${image}
+                        ${part.caption ? `<figcaption class="message__figure-caption">${this.escapeHtml(part.caption)}</figcaption>` : ''}
+                    </figure>
+                `;
+            }
+            case 'table':
+                return `<div class="markdown">${this.markdownRenderer.renderTableData(part.columns, part.rows, { caption: part.caption })}</div>`;
+            case 'code':
+                return `<div class="markdown">${this.markdownRenderer.renderCodeBlock(part.value, part.language)}</div>`;
+            default:
+                console.warn('Skipping unknown response part:', part.type);
+                return '';
+        }
+    }
+
+    /**
+     * Format text typed by the user: escaped, with line breaks kept
      * @param {string} content - Raw content
      * @returns {string} - Formatted HTML content
      */
-    formatMessageContent(content) {
-        return content
-            .replace(/\n/g, '<br>')
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>');
+    formatPlainText(content) {
+        return this.escapeHtml(content).replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Copy the code of a Markdown code block
+     * @param {HTMLElement} button - The block's copy button
+     */
+    async copyCodeBlock(button) {
+        const code = button.closest('.markdown__code-block').querySelector('code');
+        await this.copyToClipboard(code.textContent);
+
+        button.textContent = 'Copied';
+        button.classList.add('markdown__copy--done');
+        clearTimeout(button.resetTimer);
+        button.resetTimer = setTimeout(() => {
+            button.textContent = 'Copy';
+            button.classList.remove('markdown__copy--done');
+        }, 2000);
+    }
+
+    /**
+     * Populate the header model picker
+     * @param {Array} models - Models from the registry
+     * @param {Function} onSelect - Called with the chosen model ID
+     */
+    renderModelPicker(models, onSelect) {
+        const picker = document.getElementById('modelPicker');
+        const menu = document.getElementById('modelMenu');
+        const dropdown = document.getElementById('modelDropdown');
+        if (!picker || !menu || !dropdown) return;
+
+        this.sanitizer.setHtml(menu, models.map(model => `
+            <li class="header__model-option" role="option" tabindex="-1" data-model-id="${this.escapeHtml(model.id)}">
+                <span class="header__model-option-icon">${this.escapeHtml(model.icon || '🤖')}</span>
+                <span class="header__model-option-name">${this.escapeHtml(model.name)}</span>
+            </li>
+        `).join(''));
+
+        const setOpen = (open) => {
+            menu.hidden = !open;
+            dropdown.setAttribute('aria-expanded', String(open));
+            if (open) {
+                const selected = menu.querySelector('[aria-selected="true"]') || menu.firstElementChild;
+                if (selected) selected.focus();
+            }
+        };
+
+        picker.addEventListener('click', (e) => {
+            const option = e.target.closest('.header__model-option');
+            if (option) {
+                setOpen(false);
+                onSelect(option.dataset.modelId);
+                dropdown.focus();
+            } else {
+                setOpen(menu.hidden);
+            }
+        });
+
+        menu.addEventListener('keydown', (e) => {
+            const options = Array.from(menu.querySelectorAll('.header__model-option'));
+            const index = options.indexOf(document.activeElement);
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const next = e.key === 'ArrowDown' ? index + 1 : index - 1;
+                options[(next + options.length) % options.length].focus();
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                if (index !== -1) options[index].click();
+            } else if (e.key === 'Escape') {
+                setOpen(false);
+                dropdown.focus();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!picker.contains(e.target)) {
+                setOpen(false);
+            }
+        });
+    }
+
+    /**
+     * Show a model as current in the header and in new messages
+     * @param {Object} model - Model object ({ id, name, icon })
+     */
+    setCurrentModel(model) {
+        this.currentModel = model;
+
+        const nameElement = document.getElementById('modelName');
+        const iconElement = document.getElementById('modelIcon');
+        if (nameElement) nameElement.textContent = model.name;
+        if (iconElement) iconElement.textContent = model.icon || '🤖';
+
+        document.querySelectorAll('.header__model-option').forEach(option => {
+            option.setAttribute('aria-selected', String(option.dataset.modelId === model.id));
+        });
+    }
+
+    /**
+     * Populate the header rule set switcher
+     * @param {Array<string>} names - Rule set names
+     * @param {Function} onSelect - Called with the chosen rule set name
+     */
+    renderRuleSetPicker(names, onSelect) {
+        const select = document.getElementById('ruleSetSelect');
+        if (!select) return;
+
+        this.sanitizer.setHtml(select, names.map(name =>
+            `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`
+        ).join(''));
+        select.hidden = names.length < 2;
+
+        // Replace rather than add, as the list is re-rendered when rules change
+        select.onchange = () => onSelect(select.value);
+    }
+
+    /**
+     * Show a rule set as current in the header switcher
+     * @param {string} name - Rule set name
+     */
+    setCurrentRuleSet(name) {
+        const select = document.getElementById('ruleSetSelect');
+        if (select) select.value = name;
     }
 
     /**
@@ -314,37 +716,316 @@ class UIManager {
     }
 
     /**
-     * Generate metadata for assistant messages
-     * @returns {string} - Formatted metadata string
+     * Format metadata for assistant messages
+     * @param {Object} metadata - { responseTime, tokensPerSecond, tokens, cost }
+     * @returns {string} - Formatted metadata string (empty if no metadata)
      */
-    generateMetadata() {
-        const responseTime = (Math.random() * 2 + 0.5).toFixed(2);
-        const tokensPerSecond = (Math.random() * 20 + 25).toFixed(2);
-        const tokens = Math.floor(Math.random() * 50 + 20);
-        const cost = (tokens * 0.000001).toFixed(6);
+    generateMetadata(metadata) {
+        if (!metadata) return '';
+
+        const responseTime = metadata.responseTime.toFixed(2);
+        const tokensPerSecond = metadata.tokensPerSecond.toFixed(2);
+        const cost = metadata.cost.toFixed(6);
         
-        return `${responseTime} s | ${tokensPerSecond} T/s | ${tokens} Tokens | $${cost}`;
+        return `${responseTime} s | ${tokensPerSecond} T/s | ${metadata.tokens} Tokens | $${cost}`;
     }
 
     /**
      * Generate action buttons for assistant messages
+     * @param {Object} options - Message options
+     * @param {Object|null} options.branch - Sibling branch position, if any
+     * @param {Object|null} options.feedback - Saved feedback ({ rating, reason })
+     * @param {boolean} options.bookmarked - Whether the message is bookmarked
      * @returns {string} - HTML for action buttons
      */
-    generateActionButtons() {
+    generateActionButtons(options = {}) {
+        const rating = options.feedback ? options.feedback.rating : null;
+        const toggle = (action, label, icon, active) =>
+            `<button class="message__action${active ? ' message__action--active' : ''}" data-action="${action}" aria-label="${label}" aria-pressed="${active}">${icon}</button>`;
+
         return `
             <div class="message__actions">
-                <button class="message__action" data-action="edit" aria-label="Edit message">✏️</button>
+                ${this.generateBranchNavigation(options.branch)}
                 <button class="message__action" data-action="copy" aria-label="Copy message">📋</button>
                 <button class="message__action" data-action="speak" aria-label="Speak message">🔊</button>
                 <button class="message__action" data-action="info" aria-label="More options">ℹ️</button>
-                <button class="message__action" data-action="like" aria-label="Like message">👍</button>
-                <button class="message__action" data-action="dislike" aria-label="Dislike message">👎</button>
-                <button class="message__action" data-action="bookmark" aria-label="Bookmark message">🔖</button>
+                ${toggle('like', 'Like message', '👍', rating === 'like')}
+                ${toggle('dislike', 'Dislike message', '👎', rating === 'dislike')}
+                ${toggle('bookmark', 'Bookmark message', '🔖', !!options.bookmarked)}
                 <button class="message__action" data-action="regenerate" aria-label="Regenerate response">🔄</button>
             </div>
         `;
     }
 
+    /**
+     * Generate action buttons for user messages
+     * @param {Object|null} branch - Sibling branch position, if any
+     * @returns {string} - HTML for action buttons
+     */
+    generateUserActionButtons(branch = null) {
+        return `
+            <div class="message__actions message__actions--user">
+                ${this.generateBranchNavigation(branch)}
+                <button class="message__action" data-action="edit" aria-label="Edit message">✏️</button>
+                <button class="message__action" data-action="copy" aria-label="Copy message">📋</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate "< 1/2 >" controls for a message with sibling branches
+     * @param {Object|null} branch - { index, count }
+     * @returns {string} - HTML for branch controls (empty without siblings)
+     */
+    generateBranchNavigation(branch) {
+        if (!branch || branch.count < 2) return '';
+
+        return `
+            <div class="message__branch" role="group" aria-label="Versions">
+                <button class="message__branch-step" data-branch-step="-1" aria-label="Previous version" ${branch.index === 0 ? 'disabled' : ''}>‹</button>
+                <span class="message__branch-count">${branch.index + 1}/${branch.count}</span>
+                <button class="message__branch-step" data-branch-step="1" aria-label="Next version" ${branch.index === branch.count - 1 ? 'disabled' : ''}>›</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire up the "< 1/2 >" controls of a message
+     * @param {HTMLElement} messageElement - The message element
+     */
+    bindBranchNavigation(messageElement) {
+        messageElement.querySelectorAll('.message__branch-step').forEach(button => {
+            button.addEventListener('click', () => {
+                if (window.chatManager && messageElement.dataset.messageId) {
+                    window.chatManager.switchBranch(messageElement.dataset.messageId, parseInt(button.dataset.branchStep, 10));
+                }
+            });
+        });
+    }
+
+    /**
+     * Replace the "< 1/2 >" controls of a rendered message
+     * @param {HTMLElement} messageElement - The message element
+     * @param {Object|null} branch - New branch position
+     */
+    setBranchNavigation(messageElement, branch) {
+        const actions = messageElement.querySelector('.message__actions');
+        if (!actions) return;
+
+        const existing = actions.querySelector('.message__branch');
+        if (existing) existing.remove();
+
+        this.sanitizer.insertHtml(actions, 'afterbegin', this.generateBranchNavigation(branch));
+        this.bindBranchNavigation(messageElement);
+    }
+
+    /**
+     * Count the sources of a rich response
+     * @param {Object} details - Rich response fields
+     * @returns {number} - Number of sources
+     */
+    countSources(details = {}) {
+        return Array.isArray(details.sources) ? details.sources.length : 0;
+    }
+
+    /**
+     * Generate the blocks shown above a response's text: its reasoning and tool calls
+     * @param {Object} details - Rich response fields (thinking, toolCalls)
+     * @returns {string} - HTML (empty for plain responses)
+     */
+    generateResponseLead(details = {}) {
+        const thinking = typeof details.thinking === 'string' && details.thinking ? `
+            <details class="message__thinking">
+                <summary class="message__thinking-summary">Thought process</summary>
+                <div class="message__thinking-body">${this.formatMessageContent(details.thinking)}</div>
+            </details>
+        ` : '';
+
+        const toolCalls = Array.isArray(details.toolCalls) ? details.toolCalls.map(call => this.generateToolCall(call)).join('') : '';
+        return thinking + toolCalls;
+    }
+
+    /**
+     * Generate a collapsible tool call block with its arguments and result
+     * @param {Object} call - { name, arguments?, result? }
+     * @returns {string} - HTML
+     */
+    generateToolCall(call) {
+        const format = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+        const section = (label, value) => (value === undefined ? '' : `
+            <div class="message__tool-label">${label}</div>
+            <pre class="message__tool-code"><code>${this.escapeHtml(format(value))}</code></pre>
+        `);
+
+        return `
+            <details class="message__tool">
+                <summary class="message__tool-summary">
+                    <span aria-hidden="true">🔧</span> Called <code>${this.escapeHtml(call.name)}</code>
+                </summary>
+                <div class="message__tool-body">
+                    ${section('Arguments', call.arguments)}
+                    ${section('Result', call.result)}
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Generate the blocks shown below a response's text: file cards and sources
+     * @param {Object} details - Rich response fields (files, sources)
+     * @param {boolean} hidden - Hide them until the text has finished streaming
+     * @returns {string} - HTML (empty for plain responses)
+     */
+    generateResponseExtras(details = {}, hidden = false) {
+        const files = Array.isArray(details.files) ? details.files : [];
+        const sources = Array.isArray(details.sources) ? details.sources : [];
+        if (files.length === 0 && sources.length === 0) return '';
+
+        return `
+            <div class="message__extras" ${hidden ? 'hidden' : ''}>
+                ${files.length > 0 ? `
+                    <div class="message__files">
+                        ${files.map((file, index) => this.generateFileCard(file, index)).join('')}
+                    </div>
+                ` : ''}
+                ${sources.length > 0 ? `
+                    <div class="message__sources">
+                        <div class="message__sources-title">Sources</div>
+                        <ol class="message__sources-list">
+                            ${sources.map((source, index) => this.generateSource(source, index + 1)).join('')}
+                        </ol>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate one entry of a response's sources panel
+     * @param {Object} source - { title, url?, snippet? }
+     * @param {number} number - Number used by the citation markers
+     * @returns {string} - HTML
+     */
+    generateSource(source, number) {
+        const url = source.url ? this.sanitizer.sanitizeUrl(source.url) : null;
+        const title = this.escapeHtml(source.title);
+        let host = '';
+        try {
+            host = url && /^https?:/i.test(url) ? new URL(url).hostname : '';
+        } catch (error) {
+            host = '';
+        }
+
+        return `
+            <li class="message__source" data-source="${number}" tabindex="-1">
+                ${url ?
+                    `<a class="message__source-title" href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${title}</a>` :
+                    `<span class="message__source-title">${title}</span>`}
+                ${host ? `<span class="message__source-host">${this.escapeHtml(host)}</span>` : ''}
+                ${source.snippet ? `<p class="message__source-snippet">${this.escapeHtml(source.snippet)}</p>` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Generate a downloadable file card
+     * Files with inline content are downloaded from memory; others link to their URL.
+     * @param {Object} file - { name, mimeType?, size?, content?, url? }
+     * @param {number} index - Position in the response's files
+     * @returns {string} - HTML
+     */
+    generateFileCard(file, index) {
+        const url = file.content === undefined && file.url ? this.sanitizer.sanitizeUrl(file.url) : null;
+        const size = typeof file.size === 'number' ? file.size :
+            (typeof file.content === 'string' ? new Blob([file.content]).size : null);
+        const details = [file.mimeType, size !== null ? this.formatFileSize(size) : null].filter(Boolean).join(' · ');
+        const label = `Download ${this.escapeHtml(file.name)}`;
+
+        return `
+            <div class="message__file">
+                <span class="message__file-icon" aria-hidden="true">${this.getFileIcon(file)}</span>
+                <div class="message__file-info">
+                    <div class="message__file-name">${this.escapeHtml(file.name)}</div>
+                    ${details ? `<div class="message__file-details">${this.escapeHtml(details)}</div>` : ''}
+                </div>
+                ${url ?
+                    `<a class="message__file-download" href="${this.escapeHtml(url)}" download="${this.escapeHtml(file.name)}" target="_blank" rel="noopener noreferrer" aria-label="${label}">Download</a>` :
+                    `<button type="button" class="message__file-download" data-file-index="${index}" aria-label="${label}"${file.content === undefined ? ' disabled' : ''}>Download</button>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Pick an icon for a file card from the file's type or extension
+     * @param {Object} file - { name, mimeType? }
+     * @returns {string} - Emoji icon
+     */
+    getFileIcon(file) {
+        const type = `${file.mimeType || ''} ${file.name}`.toLowerCase();
+        if (/image\/|\.(png|jpe?g|gif|webp|svg)\b/.test(type)) return '🖼️';
+        if (/csv|spreadsheet|excel|\.xlsx?\b/.test(type)) return '📊';
+        if (/pdf/.test(type)) return '📕';
+        if (/zip|compressed|\.(tar|gz|7z)\b/.test(type)) return '🗜️';
+        if (/json|javascript|\.(js|ts|py|sh|sql|html|css)\b/.test(type)) return '💻';
+        return '📄';
+    }
+
+    /**
+     * Format a file size for a file card
+     * @param {number} bytes - Size in bytes
+     * @returns {string} - Size like "1.5 KB"
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Wire up the download buttons of a response's file cards
+     * @param {HTMLElement} messageElement - The message element
+     * @param {Object} details - Rich response fields
+     */
+    bindFileDownloads(messageElement, details = {}) {
+        const files = details && Array.isArray(details.files) ? details.files : [];
+        messageElement.querySelectorAll('button[data-file-index]').forEach(button => {
+            button.addEventListener('click', () => this.downloadFile(files[Number(button.dataset.fileIndex)]));
+        });
+    }
+
+    /**
+     * Download a file whose content is part of the response
+     * @param {Object} file - { name, mimeType?, content }
+     */
+    downloadFile(file) {
+        if (!file || typeof file.content !== 'string') return;
+
+        const blob = new Blob([file.content], { type: file.mimeType || 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.announceToScreenReader(`Downloaded ${file.name}`);
+    }
+
+    /**
+     * Scroll to and highlight the source a citation marker points at
+     * @param {HTMLElement} citation - The clicked citation marker
+     */
+    showSource(citation) {
+        const message = citation.closest('.message');
+        const source = message ? message.querySelector(`.message__source[data-source="${citation.dataset.citation}"]`) : null;
+        if (!source) return;
+
+        source.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        source.focus({ preventScroll: true });
+        source.classList.add('message__source--highlighted');
+        clearTimeout(source.highlightTimer);
+        source.highlightTimer = setTimeout(() => source.classList.remove('message__source--highlighted'), 2000);
+    }
+
     /**
      * Generate follow-up suggestions section
      * @param {Array} suggestions - Array of follow-up suggestions
@@ -383,6 +1064,9 @@ class UIManager {
             });
         });
 
+        // Branch navigation
+        this.bindBranchNavigation(messageElement);
+
         // Follow-up suggestions
         const suggestions = messageElement.querySelectorAll('.message__suggestion');
         suggestions.forEach(button => {
@@ -398,7 +1082,8 @@ class UIManager {
      * @param {HTMLElement} messageElement - The message element
      */
     handleActionButton(action, messageElement) {
-        const messageText = messageElement.querySelector('.message__text')?.textContent || '';
+        const textElement = messageElement.querySelector('.message__text') || messageElement.querySelector('.message--user .message__content');
+        const messageText = textElement?.textContent.trim() || '';
         
         switch (action) {
             case 'copy':
@@ -406,35 +1091,183 @@ class UIManager {
                 this.showToast('Message copied to clipboard');
                 break;
             case 'like':
-                this.toggleActionState(messageElement, 'like');
-                break;
             case 'dislike':
-                this.toggleActionState(messageElement, 'dislike');
+                this.toggleFeedback(messageElement, action);
                 break;
             case 'bookmark':
-                this.toggleActionState(messageElement, 'bookmark');
+                this.toggleBookmark(messageElement);
                 break;
             case 'regenerate':
-                if (window.chatManager) {
-                    // Get the last user message and regenerate response
-                    const userMessages = document.querySelectorAll('.message--user');
-                    if (userMessages.length > 0) {
-                        const lastUserMessage = userMessages[userMessages.length - 1];
-                        const userText = lastUserMessage.querySelector('.message__content').textContent.trim();
-                        window.chatManager.processUserMessage(userText);
-                    }
-                }
+                this.regenerateMessage(messageElement);
                 break;
             case 'speak':
                 this.speakText(messageText);
                 break;
             case 'edit':
+                this.startEditingMessage(messageElement);
+                break;
             case 'info':
                 this.showToast(`${action} functionality coming soon`);
                 break;
         }
     }
 
+    /**
+     * Replace a user message with an inline editor
+     * Saving forks the conversation from that message (see ChatManager.editUserMessage).
+     * @param {HTMLElement} messageElement - The user message element
+     */
+    startEditingMessage(messageElement) {
+        const messageId = messageElement.dataset.messageId;
+        const message = window.chatManager && messageId ? window.chatManager.getMessage(messageId) : null;
+        if (!message) {
+            this.showToast('This message can no longer be edited');
+            return;
+        }
+        if (this.isBusy()) {
+            this.showToast('Wait for the current response to finish');
+            return;
+        }
+        if (messageElement.querySelector('.message__editor')) return;
+
+        const hidden = Array.from(messageElement.children);
+        hidden.forEach(child => { child.hidden = true; });
+
+        const editor = document.createElement('div');
+        editor.className = 'message__editor';
+        this.sanitizer.setHtml(editor, `
+            <label class="sr-only" for="${messageElement.id}-editor">Edit message</label>
+            <textarea class="message__editor-input" id="${messageElement.id}-editor" rows="3"></textarea>
+            <div class="message__editor-actions">
+                <button type="button" class="message__editor-button" data-editor-action="cancel">Cancel</button>
+                <button type="button" class="message__editor-button message__editor-button--primary" data-editor-action="save">Send</button>
+            </div>
+        `);
+        const input = editor.querySelector('.message__editor-input');
+        input.value = message.content;
+
+        const close = () => {
+            editor.remove();
+            hidden.forEach(child => { child.hidden = false; });
+        };
+
+        const save = () => {
+            const content = input.value.trim();
+            if (!content || content === message.content.trim()) {
+                close();
+                return;
+            }
+            if (this.isBusy()) {
+                this.showToast('Wait for the current response to finish');
+                return;
+            }
+            window.chatManager.editUserMessage(messageId, content);
+        };
+
+        editor.addEventListener('click', (e) => {
+            const action = e.target.dataset.editorAction;
+            if (action === 'cancel') close();
+            if (action === 'save') save();
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                save();
+            } else if (e.key === 'Escape') {
+                close();
+            }
+        });
+
+        messageElement.appendChild(editor);
+        input.focus();
+    }
+
+    /**
+     * Regenerate an assistant message in place, keeping earlier versions
+     * @param {HTMLElement} messageElement - The assistant message element
+     */
+    regenerateMessage(messageElement) {
+        if (!window.chatManager) return;
+
+        if (this.isBusy()) {
+            this.showToast('Wait for the current response to finish');
+            return;
+        }
+
+        const messageId = messageElement.dataset.messageId;
+        if (!messageId || !window.chatManager.getMessage(messageId)) {
+            this.showToast('This response can no longer be regenerated');
+            return;
+        }
+
+        window.chatManager.regenerateResponse(messageId);
+    }
+
+    /**
+     * Remove a rendered message and every message after it
+     * @param {string} messageId - ID of the stored message
+     */
+    removeMessagesFrom(messageId) {
+        const messageElement = this.getMessageElement(messageId);
+        if (!messageElement) return;
+
+        while (messageElement.nextElementSibling) {
+            messageElement.nextElementSibling.remove();
+        }
+        messageElement.remove();
+    }
+
+    /**
+     * Scroll to a message and highlight it briefly
+     * @param {string} messageId - ID of the stored message
+     * @returns {HTMLElement|null} - The message element, if rendered
+     */
+    highlightMessage(messageId) {
+        const messageElement = this.scrollToMessage(messageId);
+        if (!messageElement) return null;
+
+        messageElement.classList.add('message--highlighted');
+        messageElement.setAttribute('tabindex', '-1');
+        messageElement.focus({ preventScroll: true });
+
+        setTimeout(() => {
+            messageElement.classList.remove('message--highlighted');
+        }, 2500);
+
+        return messageElement;
+    }
+
+    /**
+     * Check whether a response is being generated
+     * @returns {boolean} - Whether a response is loading or streaming
+     */
+    isBusy() {
+        return this.isStreaming() || !!this.chatMessages.querySelector('.message--loading');
+    }
+
+    /**
+     * Get the rendered element of a stored message
+     * @param {string} messageId - ID of the stored message
+     * @returns {HTMLElement|null} - The message element, if rendered
+     */
+    getMessageElement(messageId) {
+        return this.chatMessages.querySelector(`[data-message-id="${messageId}"]`);
+    }
+
+    /**
+     * Scroll a rendered message into view
+     * @param {string} messageId - ID of the stored message
+     * @returns {HTMLElement|null} - The message element, if rendered
+     */
+    scrollToMessage(messageId) {
+        const messageElement = this.getMessageElement(messageId);
+        if (messageElement && messageElement.scrollIntoView) {
+            messageElement.scrollIntoView({ block: 'center' });
+        }
+        return messageElement;
+    }
+
     /**
      * Handle follow-up suggestion clicks
      * @param {string} suggestion - The suggestion text
@@ -464,17 +1297,111 @@ class UIManager {
     }
 
     /**
-     * Toggle action button state
+     * Set the pressed state of an action button
      * @param {HTMLElement} messageElement - The message element
      * @param {string} action - The action type
+     * @param {boolean} active - Whether the action is active
      */
-    toggleActionState(messageElement, action) {
+    setActionState(messageElement, action, active) {
         const button = messageElement.querySelector(`[data-action="${action}"]`);
         if (button) {
-            button.classList.toggle('message__action--active');
+            button.classList.toggle('message__action--active', active);
+            button.setAttribute('aria-pressed', String(active));
+        }
+    }
+
+    /**
+     * Like or dislike a message, or clear the rating when clicked again
+     * Disliking opens an optional "what was wrong" form.
+     * @param {HTMLElement} messageElement - The assistant message element
+     * @param {string} rating - 'like' or 'dislike'
+     */
+    toggleFeedback(messageElement, rating) {
+        const messageId = messageElement.dataset.messageId;
+        const button = messageElement.querySelector(`[data-action="${rating}"]`);
+        const newRating = button && button.classList.contains('message__action--active') ? null : rating;
+
+        if (!window.chatManager || !messageId || !window.chatManager.setMessageFeedback(messageId, newRating)) {
+            this.showToast('Feedback could not be saved');
+            return;
+        }
+
+        this.setActionState(messageElement, 'like', newRating === 'like');
+        this.setActionState(messageElement, 'dislike', newRating === 'dislike');
+        this.closeFeedbackForm(messageElement);
+
+        if (newRating === 'dislike') {
+            this.showFeedbackForm(messageElement, messageId);
+        } else if (newRating === 'like') {
+            this.showToast('Thanks for your feedback');
         }
     }
 
+    /**
+     * Show the optional reason form below a disliked message
+     * @param {HTMLElement} messageElement - The assistant message element
+     * @param {string} messageId - ID of the stored message
+     */
+    showFeedbackForm(messageElement, messageId) {
+        const actions = messageElement.querySelector('.message__actions');
+        if (!actions) return;
+
+        const form = document.createElement('form');
+        form.className = 'message__feedback';
+        this.sanitizer.setHtml(form, `
+            <label class="message__feedback-label" for="${messageElement.id}-feedback">What was wrong with this response? (optional)</label>
+            <textarea class="message__feedback-input" id="${messageElement.id}-feedback" rows="2" maxlength="500"></textarea>
+            <div class="message__editor-actions">
+                <button type="button" class="message__editor-button" data-feedback-action="skip">Skip</button>
+                <button type="submit" class="message__editor-button message__editor-button--primary">Submit</button>
+            </div>
+        `);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const reason = form.querySelector('.message__feedback-input').value;
+            if (reason.trim() && !window.chatManager.setMessageFeedback(messageId, 'dislike', reason)) {
+                this.showToast('Feedback could not be saved');
+                return;
+            }
+            form.remove();
+            this.showToast('Thanks for your feedback');
+        });
+
+        form.querySelector('[data-feedback-action="skip"]').addEventListener('click', () => {
+            form.remove();
+        });
+
+        actions.insertAdjacentElement('afterend', form);
+        form.querySelector('.message__feedback-input').focus();
+    }
+
+    /**
+     * Remove an open feedback form from a message
+     * @param {HTMLElement} messageElement - The assistant message element
+     */
+    closeFeedbackForm(messageElement) {
+        const form = messageElement.querySelector('.message__feedback');
+        if (form) form.remove();
+    }
+
+    /**
+     * Bookmark or un-bookmark a message
+     * @param {HTMLElement} messageElement - The assistant message element
+     */
+    toggleBookmark(messageElement) {
+        const messageId = messageElement.dataset.messageId;
+        const button = messageElement.querySelector('[data-action="bookmark"]');
+        const bookmarked = !(button && button.classList.contains('message__action--active'));
+
+        if (!window.chatManager || !messageId || !window.chatManager.setMessageBookmark(messageId, bookmarked)) {
+            this.showToast('Bookmark could not be saved');
+            return;
+        }
+
+        this.showToast(bookmarked ? 'Message saved to the sidebar' : 'Bookmark removed');
+    }
+
     /**
      * Speak text using Web Speech API
      * @param {string} text - Text to speak
@@ -493,10 +1420,12 @@ class UIManager {
     /**
      * Show toast notification
      * @param {string} message - Toast message
+     * @param {Object|null} action - Optional { label, onClick } button, e.g. Undo
      */
-    showToast(message) {
+    showToast(message, action = null) {
         const toast = document.createElement('div');
         toast.className = 'toast';
+        toast.setAttribute('role', 'status');
         toast.textContent = message;
         toast.style.cssText = `
             position: fixed;
@@ -507,25 +1436,39 @@ class UIManager {
             padding: 0.75rem 1rem;
             border-radius: 6px;
             z-index: 10000;
+            display: flex;
+            align-items: center;
+            gap: 0.75rem;
             animation: slideIn 0.3s ease-out;
         `;
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast__action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(button);
+        }
         
         document.body.appendChild(toast);
         
+        // Leave more time to reach an action button
         setTimeout(() => {
             toast.remove();
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Escape HTML to prevent XSS (also safe inside quoted attributes)
      * @param {string} text - Text to escape
      * @returns {string} - Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return this.sanitizer.escapeHtml(text);
     }
 }
 